@@ -11,7 +11,8 @@ import { LLMFactory, PromptTemplate } from '../core/llm.js';
 import { MemoryManager, InMemoryStorage } from '../core/memory.js';
 import { ToolRegistry, BuiltinTools, FunctionTool } from '../core/tools.js';
 import { FlowOrchestrator } from '../core/orchestration.js';
-import { AsyncFlow } from '../../skingflow.js';
+import { UsageTracker } from '../core/usage.js';
+import { AsyncFlow, AbortError } from '../../skingflow.js';
 
 /**
  * Framework Builder - Main framework configuration and setup
@@ -358,20 +359,7 @@ export class ChatFlow extends AsyncFlow {
 
       // Generate LLM response
       if (this.framework.llm) {
-        let response = '';
-        for await (const chunk of this.framework.llm.stream(prepRes.messages, {
-          tools: prepRes.tools
-        })) {
-          if (typeof chunk === 'string') {
-            response += chunk;
-            yield chunk;
-          } else {
-            // Handle tool calls
-            if (chunk.type === 'tool_calls') {
-              yield* this._handleToolCalls(chunk.content);
-            }
-          }
-        }
+        const response = yield* this._agentLoop(prepRes);
 
         // Store conversation in memory
         if (this.framework.memory && prepRes.messages) {
@@ -406,29 +394,105 @@ export class ChatFlow extends AsyncFlow {
     }
   }
 
-  async *_handleToolCalls(toolCalls) {
-    if (!this.framework.tools) {
-      yield 'Tool execution requested but no tools available\n';
-      return;
+  /**
+   * Agent loop: call the LLM, run the tools it asks for, send the results
+   * back and repeat until it answers without tool calls. After maxToolRounds
+   * rounds of tools the last results go back with tool calls switched off,
+   * so the model still answers from them. Yields the text of every round
+   * plus a { type: 'tool_round' } event per round of calls and a
+   * { type: 'tool_result' } event per call. Returns the final answer.
+   */
+  async *_agentLoop(prepRes) {
+    const maxToolRounds = this.options.maxToolRounds ?? 5;
+    const transcript = typeof prepRes.messages === 'string'
+      ? [{ role: 'user', content: prepRes.messages }]
+      : [...this.framework.llm.formatMessages(prepRes.messages)];
+    prepRes.transcript = transcript;
+    prepRes.toolRounds = 0;
+    prepRes.usage = new UsageTracker();
+
+    for (let round = 1; ; round++) {
+      const limitReached = round > maxToolRounds;
+      let response = '';
+      const toolCalls = [];
+      for await (const chunk of this.framework.llm.stream(transcript, {
+        tools: prepRes.tools,
+        toolChoice: limitReached ? 'none' : undefined,
+        signal: this.signal,
+        traceSpan: this.traceSpan,
+        onUsage: (usage) => prepRes.usage.record(usage, { userId: prepRes.userId })
+      })) {
+        if (typeof chunk === 'string') {
+          response += chunk;
+          yield chunk;
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk);
+        }
+      }
+
+      // Calls made once the limit is reached are dropped
+      if (toolCalls.length === 0 || limitReached) {
+        transcript.push({ role: 'assistant', content: response });
+        prepRes.response = response;
+        prepRes.stopReason = limitReached ? 'max_tool_rounds' : 'final_answer';
+        return response;
+      }
+
+      // Tool calls are complete once the response has finished streaming.
+      // Arguments that didn't parse are sent back as {}; the call's error
+      // result tells the model what went wrong.
+      transcript.push({
+        role: 'assistant',
+        content: response,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: call.error ? '{}' : JSON.stringify(call.arguments ?? {})
+          }
+        }))
+      });
+      yield { type: 'tool_round', round, toolCalls };
+
+      const results = await this._executeToolCalls(toolCalls);
+      for (const result of results) {
+        yield { type: 'tool_result', round, ...result };
+        transcript.push({
+          role: 'tool',
+          tool_call_id: result.id,
+          content: 'error' in result
+            ? `Error: ${result.error}`
+            : typeof result.result === 'string' ? result.result : JSON.stringify(result.result)
+        });
+      }
+      prepRes.toolRounds = round;
     }
+  }
 
-    for (const toolCall of toolCalls) {
-      yield `\nExecuting tool: ${toolCall.function.name}\n`;
-      
+  /**
+   * Run one round of tool calls in parallel; failures become { error }
+   * results the model can read, but an abort stops the run
+   */
+  async _executeToolCalls(toolCalls) {
+    return Promise.all(toolCalls.map(async ({ id, name, arguments: args, error }) => {
       try {
-        const args = JSON.parse(toolCall.function.arguments);
-        const result = await this.framework.tools.execute(toolCall.function.name, args);
-        
-        if (typeof result === 'string') {
-          yield result;
-        } else {
-          yield JSON.stringify(result, null, 2);
+        if (error) {
+          throw new Error(error);
+        }
+        if (!this.framework.tools) {
+          throw new Error('Tool execution requested but no tools available');
         }
-        yield '\n';
+        const result = await this.framework.tools.execute(name, args, {
+          signal: this.signal,
+          traceSpan: this.traceSpan
+        });
+        return { id, name, result };
       } catch (error) {
-        yield `Tool execution failed: ${error.message}\n`;
+        if (error instanceof AbortError) throw error;
+        return { id, name, error: error.message };
       }
-    }
+    }));
   }
 
   async _triggerHooks(event, ...args) {
@@ -457,6 +521,11 @@ export class ChatFlow extends AsyncFlow {
       success: true,
       userId: prepRes.userId,
       memoriesUsed: prepRes.memories.length,
+      response: prepRes.response,
+      transcript: prepRes.transcript || [],
+      toolRounds: prepRes.toolRounds || 0,
+      stopReason: prepRes.stopReason,
+      usage: prepRes.usage?.getTotals() || null,
       timestamp: new Date()
     };
 
@@ -0,0 +1,262 @@
+/**
+ * Budget Limits for skingflow
+ *
+ * Caps on LLM tokens and cost per request, per session and per user per
+ * day. A policy attached to an LLMProvider is checked before every request,
+ * which holds its worst case until it is charged with the usage it reports.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+import { EventEmitter } from 'events';
+import { calculateCost } from './usage.js';
+
+/**
+ * Raised when a request would go over a budget limit
+ */
+export class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.window = details.window || null; // request, session or userDaily
+    this.metric = details.metric || null; // tokens or cost
+    this.limit = details.limit ?? null;
+    this.used = details.used ?? null;
+    this.requested = details.requested ?? null;
+  }
+}
+
+const WINDOWS = ['request', 'session', 'userDaily'];
+
+/**
+ * Budget Policy
+ *
+ * Limits are { tokens?, cost? } where tokens counts input plus output and
+ * cost is in USD. In 'reject' mode a request that could go over a limit
+ * fails with BudgetExceededError; in 'truncate' mode its maxTokens is lowered
+ * to what is left, and it only fails when less than minOutputTokens would be.
+ *
+ * Requests that were authorized but haven't reported usage yet count
+ * against the limits with their input plus maxTokens, so concurrent requests
+ * can't overshoot them together. Session totals are kept for the last
+ * maxSessions sessions (default 10000) or until resetSession().
+ *
+ * Events: 'warning' when spend crosses one of the warnAt fractions of a
+ * limit, 'exceeded' when a request is rejected.
+ */
+export class BudgetPolicy extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.limits = {
+      request: options.perRequest || null,
+      session: options.perSession || null,
+      userDaily: options.perUserDaily || null
+    };
+    this.mode = options.mode || 'reject';
+    this.minOutputTokens = options.minOutputTokens ?? 16;
+    this.warnAt = options.warnAt || [0.8];
+    this.maxSessions = options.maxSessions ?? 10000;
+    this.maxTokens = options.maxTokens ?? 2000; // output tokens held for requests that don't say
+    this.now = options.now || (() => Date.now());
+    this.spent = new Map(); // window key -> { tokens, cost }, least recently charged session first
+    this.reserved = new Map(); // window key -> { tokens, cost } held by requests in flight
+    this.reservations = new Map(); // reservation id -> { keys, tokens, cost }
+    this.nextReservation = 1;
+    this.warned = new Set();
+
+    if (!['reject', 'truncate'].includes(this.mode)) {
+      throw new Error(`Unknown budget mode: ${this.mode}`);
+    }
+  }
+
+  // Spending for the session and the user's current (UTC) day. Requests
+  // without a userId share one daily window that no user id can collide with.
+  _key(window, scope = {}) {
+    if (window === 'session') return scope.sessionId ? `session:${scope.sessionId}` : null;
+    if (window === 'userDaily') {
+      const day = new Date(this.now()).toISOString().slice(0, 10);
+      return scope.userId ? `user:${scope.userId}:${day}` : `user:${day}`;
+    }
+    return null;
+  }
+
+  // Spent plus what requests in flight may still spend
+  _used(window, scope) {
+    const key = this._key(window, scope);
+    const spent = (key && this.spent.get(key)) || { tokens: 0, cost: 0 };
+    const reserved = (key && this.reserved.get(key)) || { tokens: 0, cost: 0 };
+    return { tokens: spent.tokens + reserved.tokens, cost: Math.round((spent.cost + reserved.cost) * 1e8) / 1e8 };
+  }
+
+  /**
+   * What is left for a scope ({ sessionId, userId }): { tokens, cost } with
+   * null for metrics that have no limit
+   */
+  remaining(scope = {}) {
+    const left = { tokens: null, cost: null };
+    for (const window of WINDOWS) {
+      const limit = this.limits[window];
+      if (!limit) continue;
+      if (window === 'session' && !scope.sessionId) continue;
+      const used = this._used(window, scope);
+      for (const metric of ['tokens', 'cost']) {
+        if (limit[metric] === undefined || limit[metric] === null) continue;
+        const value = Math.max(0, Math.round((limit[metric] - used[metric]) * 1e8) / 1e8);
+        left[metric] = left[metric] === null ? value : Math.min(left[metric], value);
+      }
+    }
+    return left;
+  }
+
+  /**
+   * Check a request before it is sent: { inputTokens, outputTokens, price }
+   * with outputTokens the requested maxTokens (the policy's maxTokens when
+   * missing). Returns { maxTokens, reservation }: the maxTokens to send, and
+   * the id of the amount held for the request, which record() settles and
+   * release() frees.
+   */
+  authorize({ inputTokens = 0, outputTokens, price = null }, scope = {}) {
+    let maxTokens = outputTokens ?? this.maxTokens;
+    for (const window of WINDOWS) {
+      const limit = this.limits[window];
+      if (!limit) continue;
+      if (window === 'session' && !scope.sessionId) continue;
+      const used = this._used(window, scope);
+
+      if (limit.tokens !== undefined && limit.tokens !== null) {
+        const left = limit.tokens - used.tokens;
+        if (inputTokens + maxTokens > left) {
+          maxTokens = this._shrink(left - inputTokens, {
+            window, metric: 'tokens', limit: limit.tokens, used: used.tokens, requested: inputTokens + maxTokens
+          }, scope);
+        }
+      }
+
+      // Requests to models without a price can't be checked against cost
+      if (limit.cost !== undefined && limit.cost !== null && price) {
+        const left = limit.cost - used.cost;
+        const requested = calculateCost({ inputTokens, outputTokens: maxTokens }, price);
+        if (requested > left) {
+          maxTokens = this._shrink(Math.floor((left * 1e6 - inputTokens * price.input) / price.output), {
+            window, metric: 'cost', limit: limit.cost, used: used.cost, requested
+          }, scope);
+        }
+      }
+    }
+    const cost = calculateCost({ inputTokens, outputTokens: maxTokens }, price) || 0;
+    return { maxTokens, reservation: this._reserve(inputTokens + maxTokens, cost, scope) };
+  }
+
+  _reserve(tokens, cost, scope) {
+    const keys = ['session', 'userDaily'].map(window => this._key(window, scope)).filter(Boolean);
+    const id = this.nextReservation++;
+    this.reservations.set(id, { keys, tokens, cost });
+    for (const key of keys) {
+      const held = this.reserved.get(key) || { tokens: 0, cost: 0 };
+      held.tokens += tokens;
+      held.cost += cost;
+      this.reserved.set(key, held);
+    }
+    return id;
+  }
+
+  /**
+   * Free the amount held for a request that won't report usage, e.g. one
+   * that failed before it was sent. Unknown or settled ids are ignored.
+   */
+  release(reservation) {
+    const held = this.reservations.get(reservation);
+    if (!held) return;
+    this.reservations.delete(reservation);
+    for (const key of held.keys) {
+      const total = this.reserved.get(key);
+      if (!total) continue;
+      total.tokens -= held.tokens;
+      total.cost -= held.cost;
+      if (total.tokens <= 0) this.reserved.delete(key);
+    }
+  }
+
+  _shrink(allowed, details, scope) {
+    if (this.mode === 'truncate' && allowed >= this.minOutputTokens) return allowed;
+    const error = new BudgetExceededError(
+      `LLM request would exceed the ${details.window} ${details.metric} budget ` +
+      `(${details.used} of ${details.limit} used, ${details.requested} requested)`,
+      details
+    );
+    this.emit('exceeded', { ...details, scope });
+    throw error;
+  }
+
+  /**
+   * Charge a finished request's usage event to its session and user, in
+   * place of the amount its reservation held
+   */
+  record(usage, scope = {}, reservation = null) {
+    this.release(reservation);
+    const spend = { tokens: (usage.inputTokens || 0) + (usage.outputTokens || 0), cost: usage.cost || 0 };
+    for (const window of ['session', 'userDaily']) {
+      const key = this._key(window, scope);
+      if (!key) continue;
+      const used = this.spent.get(key) || { tokens: 0, cost: 0 };
+      used.tokens += spend.tokens;
+      used.cost = Math.round((used.cost + spend.cost) * 1e8) / 1e8;
+      this.spent.delete(key);
+      this.spent.set(key, used);
+      this._checkThresholds(window, key, used, scope);
+    }
+    this._prune();
+  }
+
+  /**
+   * Forget a session's spending, e.g. when it ends
+   */
+  resetSession(sessionId) {
+    this._forget(`session:${sessionId}`);
+  }
+
+  _forget(key) {
+    this.spent.delete(key);
+    for (const id of this.warned) {
+      if (id.startsWith(`${key}:`)) this.warned.delete(id);
+    }
+  }
+
+  _checkThresholds(window, key, used, scope) {
+    const limit = this.limits[window];
+    if (!limit) return;
+    for (const metric of ['tokens', 'cost']) {
+      if (!limit[metric]) continue;
+      const ratio = used[metric] / limit[metric];
+      for (const threshold of this.warnAt) {
+        const id = `${key}:${metric}:${threshold}`;
+        if (ratio >= threshold && !this.warned.has(id)) {
+          this.warned.add(id);
+          this.emit('warning', { window, metric, threshold, ratio, used: used[metric], limit: limit[metric], scope });
+        }
+      }
+    }
+  }
+
+  // Daily totals from earlier days can't matter any more, and only the
+  // maxSessions most recently charged sessions are kept
+  _prune() {
+    const today = new Date(this.now()).toISOString().slice(0, 10);
+    const sessions = [];
+    for (const key of this.spent.keys()) {
+      if (key.startsWith('user:') && !key.endsWith(today)) this.spent.delete(key);
+      if (key.startsWith('session:')) sessions.push(key);
+    }
+    for (const id of this.warned) {
+      if (id.startsWith('user:') && !id.includes(`:${today}:`)) this.warned.delete(id);
+    }
+    for (const key of sessions.slice(0, Math.max(0, sessions.length - this.maxSessions))) {
+      this._forget(key);
+    }
+  }
+}
+
+// Convenience functions
+export const createBudgetPolicy = (options) => new BudgetPolicy(options);
+
+export default BudgetPolicy;
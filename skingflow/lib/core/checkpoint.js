@@ -0,0 +1,206 @@
+/**
+ * Checkpoint Stores for skingflow
+ *
+ * Persist AsyncFlow progress so long-running flows can resume after a crash
+ * Each checkpoint records the shared store, the last completed node and its action
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+/**
+ * Raised when a checkpoint holds a value that can't be stored
+ */
+export class CheckpointError extends Error {
+  constructor(message, path = null) {
+    super(path ? `Cannot save checkpoint ${path}: ${message}` : message);
+    this.name = 'CheckpointError';
+    this.path = path;
+  }
+}
+
+// Values JSON can't represent are written as { $type, value }; plain objects
+// that happen to have a $type key are wrapped the same way
+function encode(value, path, ancestors) {
+  if (typeof value === 'bigint') return { $type: 'BigInt', value: value.toString() };
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    throw new CheckpointError(`${typeof value}s can't be serialised`, path);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return { $type: 'Date', value: value.toISOString() };
+  if (ancestors.has(value)) {
+    throw new CheckpointError('circular reference', path);
+  }
+
+  ancestors.add(value);
+  try {
+    if (value instanceof Map) {
+      const entries = [...value].map(([k, v], i) => [
+        encode(k, `${path}[${i}][0]`, ancestors),
+        encode(v, `${path}[${i}][1]`, ancestors)
+      ]);
+      return { $type: 'Map', value: entries };
+    }
+    if (value instanceof Set) {
+      return { $type: 'Set', value: [...value].map((v, i) => encode(v, `${path}[${i}]`, ancestors)) };
+    }
+    if (Array.isArray(value)) {
+      return value.map((v, i) => encode(v, `${path}[${i}]`, ancestors));
+    }
+    const object = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v !== undefined) object[key] = encode(v, `${path}.${key}`, ancestors);
+    }
+    return Object.hasOwn(object, '$type') ? { $type: 'Object', value: object } : object;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+function decode(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decode);
+  const decodeEntries = (object) => Object.fromEntries(Object.entries(object).map(([key, v]) => [key, decode(v)]));
+  switch (value.$type) {
+    case 'BigInt': return BigInt(value.value);
+    case 'Date': return new Date(value.value);
+    case 'Map': return new Map(value.value.map(([k, v]) => [decode(k), decode(v)]));
+    case 'Set': return new Set(value.value.map(decode));
+    case 'Object': return decodeEntries(value.value);
+    default: return decodeEntries(value);
+  }
+}
+
+/**
+ * Checkpoint to JSON text, keeping Maps, Sets, Dates and BigInts. Throws a
+ * CheckpointError naming the path of a function, symbol or circular reference.
+ */
+export function serializeCheckpoint(checkpoint, space = undefined) {
+  return JSON.stringify(encode(checkpoint, 'checkpoint', new Set()), null, space);
+}
+
+export function deserializeCheckpoint(text) {
+  return decode(JSON.parse(text));
+}
+
+/**
+ * Abstract Checkpoint Store Interface
+ *
+ * A checkpoint looks like:
+ * { runId, status, nodeId, action, shared, error, updatedAt }
+ */
+export class CheckpointStore {
+  async save(runId, checkpoint) {
+    throw new Error('save() must be implemented by checkpoint store');
+  }
+
+  async load(runId) {
+    throw new Error('load() must be implemented by checkpoint store');
+  }
+
+  async delete(runId) {
+    throw new Error('delete() must be implemented by checkpoint store');
+  }
+
+  async list() {
+    throw new Error('list() must be implemented by checkpoint store');
+  }
+}
+
+/**
+ * In-Memory Checkpoint Store
+ */
+export class InMemoryCheckpointStore extends CheckpointStore {
+  constructor() {
+    super();
+    this.checkpoints = new Map();
+  }
+
+  // Stored serialised, so it accepts exactly what FileCheckpointStore does
+  async save(runId, checkpoint) {
+    this.checkpoints.set(runId, serializeCheckpoint(checkpoint));
+  }
+
+  async load(runId) {
+    const checkpoint = this.checkpoints.get(runId);
+    return checkpoint ? deserializeCheckpoint(checkpoint) : null;
+  }
+
+  async delete(runId) {
+    return this.checkpoints.delete(runId);
+  }
+
+  async list() {
+    return Array.from(this.checkpoints.keys());
+  }
+}
+
+/**
+ * File Checkpoint Store - one JSON file per run
+ */
+export class FileCheckpointStore extends CheckpointStore {
+  constructor(directory = './checkpoints') {
+    super();
+    this.directory = directory;
+  }
+
+  async _filePath(runId) {
+    const path = await import('path');
+    return path.join(this.directory, `${encodeURIComponent(runId)}.json`);
+  }
+
+  async save(runId, checkpoint) {
+    const fs = await import('fs/promises');
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written checkpoint
+    const content = serializeCheckpoint(checkpoint, 2);
+    const filePath = await this._filePath(runId);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, content, 'utf-8');
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async load(runId) {
+    const fs = await import('fs/promises');
+
+    try {
+      const content = await fs.readFile(await this._filePath(runId), 'utf-8');
+      return deserializeCheckpoint(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(runId) {
+    const fs = await import('fs/promises');
+
+    try {
+      await fs.unlink(await this._filePath(runId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    const fs = await import('fs/promises');
+
+    try {
+      const files = await fs.readdir(this.directory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+// Convenience functions
+export const createInMemoryCheckpointStore = () => new InMemoryCheckpointStore();
+export const createFileCheckpointStore = (directory) => new FileCheckpointStore(directory);
+
+export default CheckpointStore;
@@ -0,0 +1,388 @@
+/**
+ * Expression Language for skingflow
+ *
+ * A small, safe expression language for conditions, loop predicates and
+ * step inputs, e.g. "results.items.length > 3 && !flags.skip".
+ * Expressions are parsed and interpreted; nothing is passed to eval or Function.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+/**
+ * Raised for invalid syntax or a failed evaluation
+ */
+export class ExpressionError extends Error {
+  constructor(message, source = null, position = null) {
+    super(position === null ? message : `${message} at position ${position}`);
+    this.name = 'ExpressionError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+// Properties that could reach outside the data an expression is given
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '!', '<', '>', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ',', '?', ':'];
+
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+/**
+ * Built-in functions available to every expression
+ */
+export const EXPRESSION_FUNCTIONS = {
+  length: (value) => {
+    if (value == null) return 0;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Map || value instanceof Set) return value.size;
+    return typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+  contains: (haystack, needle) => {
+    if (typeof haystack === 'string') return haystack.includes(String(needle));
+    if (Array.isArray(haystack)) return haystack.includes(needle);
+    if (haystack instanceof Map || haystack instanceof Set) return haystack.has(needle);
+    return haystack != null && typeof haystack === 'object' && Object.hasOwn(haystack, needle);
+  },
+  startsWith: (value, prefix) => typeof value === 'string' && value.startsWith(prefix),
+  endsWith: (value, suffix) => typeof value === 'string' && value.endsWith(suffix),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  exists: (value) => value != null,
+  keys: (value) => (value != null && typeof value === 'object' ? Object.keys(value) : [])
+};
+
+/**
+ * Compiled Expression
+ *
+ * Identifiers read from the context object; missing paths evaluate to
+ * undefined instead of throwing. `==` and `!=` compare strictly.
+ */
+export class Expression {
+  constructor(source) {
+    if (typeof source !== 'string') {
+      throw new ExpressionError('Expression must be a string');
+    }
+    this.source = source;
+    this.ast = new Parser(source).parse();
+  }
+
+  evaluate(context = {}, { functions = {} } = {}) {
+    return evaluateNode(this.ast, context, { ...EXPRESSION_FUNCTIONS, ...functions }, this.source);
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+// Tokenizer -----------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      const start = i++;
+      let value = '';
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+          value += ESCAPES[source[i]] ?? source[i];
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      if (i >= source.length) {
+        throw new ExpressionError('Unterminated string', source, start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+    } else {
+      const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+      if (!op) {
+        throw new ExpressionError(`Unexpected character '${char}'`, source, i);
+      }
+      tokens.push({ type: 'operator', value: op, position: i });
+      i += op.length;
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Parser --------------------------------------------------------------------
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      throw new ExpressionError('Empty expression', this.source, 0);
+    }
+    const ast = this.parseConditional();
+    if (this.peek().type !== 'end') {
+      this.unexpected();
+    }
+    return ast;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  accept(op) {
+    const token = this.peek();
+    if (token.type === 'operator' && token.value === op) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(op) {
+    if (!this.accept(op)) {
+      this.unexpected(`Expected '${op}'`);
+    }
+  }
+
+  unexpected(message = null) {
+    const token = this.peek();
+    const found = token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+    throw new ExpressionError(message ? `${message} but found ${found}` : `Unexpected ${found}`, this.source, token.position);
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.accept('?')) return test;
+    const consequent = this.parseConditional();
+    this.expect(':');
+    const alternate = this.parseConditional();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  parseBinary(level) {
+    if (level === BINARY_PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'operator' || !BINARY_PRECEDENCE[level].includes(token.value)) {
+        return left;
+      }
+      this.index++;
+      left = { type: 'binary', op: token.value, left, right: this.parseBinary(level + 1) };
+    }
+  }
+
+  parseUnary() {
+    if (this.accept('!')) return { type: 'unary', op: '!', argument: this.parseUnary() };
+    if (this.accept('-')) return { type: 'unary', op: '-', argument: this.parseUnary() };
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(node) {
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.next();
+        if (token.type !== 'identifier') {
+          this.index--;
+          this.unexpected('Expected a property name');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+      } else if (this.accept('[')) {
+        node = { type: 'member', object: node, property: this.parseConditional() };
+        this.expect(']');
+      } else if (this.peek().value === '(' && this.peek().type === 'operator') {
+        if (node.type !== 'identifier') {
+          this.unexpected('Only built-in functions can be called');
+        }
+        this.index++;
+        node = { type: 'call', name: node.name, args: this.parseList(')') };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseList(close) {
+    const items = [];
+    if (this.accept(close)) return items;
+    do {
+      items.push(this.parseConditional());
+    } while (this.accept(','));
+    this.expect(close);
+    return items;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'identifier':
+        if (Object.hasOwn(KEYWORDS, token.value)) {
+          return { type: 'literal', value: KEYWORDS[token.value] };
+        }
+        return { type: 'identifier', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const inner = this.parseConditional();
+          this.expect(')');
+          return inner;
+        }
+        if (token.value === '[') {
+          return { type: 'array', elements: this.parseList(']') };
+        }
+    }
+    this.index--;
+    return this.unexpected();
+  }
+}
+
+// Evaluation ----------------------------------------------------------------
+
+function readProperty(object, key) {
+  if (object == null || BLOCKED_PROPERTIES.has(String(key))) return undefined;
+  return object[key];
+}
+
+function evaluateNode(node, context, functions, source) {
+  const evaluate = (child) => evaluateNode(child, context, functions, source);
+
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return readProperty(context, node.name);
+    case 'member':
+      return readProperty(evaluate(node.object), evaluate(node.property));
+    case 'array':
+      return node.elements.map(evaluate);
+    case 'call': {
+      if (!Object.hasOwn(functions, node.name)) {
+        throw new ExpressionError(`Unknown function '${node.name}'`, source);
+      }
+      return functions[node.name](...node.args.map(evaluate));
+    }
+    case 'unary': {
+      const value = evaluate(node.argument);
+      return node.op === '!' ? !value : -value;
+    }
+    case 'conditional':
+      return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+    case 'binary': {
+      // && and || short-circuit like JavaScript
+      if (node.op === '&&') return evaluate(node.left) && evaluate(node.right);
+      if (node.op === '||') return evaluate(node.left) || evaluate(node.right);
+
+      const left = evaluate(node.left);
+      const right = evaluate(node.right);
+      switch (node.op) {
+        case '==': case '===': return left === right;
+        case '!=': case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+    }
+  }
+  throw new ExpressionError(`Cannot evaluate '${node.type}' node`, source);
+}
+
+// Templates -----------------------------------------------------------------
+
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const MAX_CACHED_EXPRESSIONS = 1000;
+const expressionCache = new Map(); // in least recently used order
+
+/**
+ * Parse an expression, reusing earlier parses of the same source
+ */
+export function compileExpression(source) {
+  let expression = expressionCache.get(source);
+  if (expression) {
+    expressionCache.delete(source);
+  } else {
+    expression = new Expression(source);
+    if (expressionCache.size >= MAX_CACHED_EXPRESSIONS) {
+      expressionCache.delete(expressionCache.keys().next().value);
+    }
+  }
+  expressionCache.set(source, expression);
+  return expression;
+}
+
+export function evaluateExpression(source, context, options) {
+  return compileExpression(source).evaluate(context, options);
+}
+
+export function isTemplate(value) {
+  return typeof value === 'string' && new RegExp(TEMPLATE_PATTERN.source).test(value);
+}
+
+/**
+ * Compile every {{ expression }} placeholder of a template
+ */
+export function parseTemplate(template) {
+  return [...template.matchAll(TEMPLATE_PATTERN)].map(([, source]) => compileExpression(source));
+}
+
+/**
+ * Render {{ expression }} placeholders. A value that is a single placeholder
+ * keeps the expression's type; anything else renders to a string.
+ */
+export function renderTemplate(template, context, options) {
+  const whole = /^\{\{\s*([\s\S]+?)\s*\}\}$/.exec(template);
+  if (whole && !whole[1].includes('}}')) {
+    return evaluateExpression(whole[1], context, options);
+  }
+  return template.replace(TEMPLATE_PATTERN, (match, source) => {
+    const value = evaluateExpression(source, context, options);
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+export default Expression;
@@ -0,0 +1,92 @@
+/**
+ * Human-in-the-Loop Nodes for skingflow
+ *
+ * Pause a run until a person approves something or provides input.
+ * The run is saved as 'awaiting_input' and continues with resume(runId, response).
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+import { AsyncNode, SuspendRun } from '../../skingflow.js';
+
+/**
+ * Raised by an approval step when the response rejects it
+ */
+export class ApprovalRejectedError extends Error {
+  constructor(key, response) {
+    super(`Approval '${key}' was rejected${response.comment ? `: ${response.comment}` : ''}`);
+    this.name = 'ApprovalRejectedError';
+    this.key = key;
+    this.response = response;
+  }
+}
+
+/**
+ * Human Input Node
+ *
+ * Reads its answer from shared[key]. Until one is there it suspends the run
+ * with a request describing what is needed. Approvals return the action
+ * 'approved' or 'rejected' from postAsync.
+ */
+export class HumanInputNode extends AsyncNode {
+  constructor(options = {}) {
+    super();
+    this.kind = options.kind || 'input'; // input, approval
+    this.key = options.key || this.kind;
+    this.name = options.name || `${this.kind}:${this.key}`;
+    this.prompt = options.prompt || (this.kind === 'approval' ? 'Approval required' : 'Input required');
+    this.schema = options.schema || null; // JSON schema describing the expected input
+    this.expiresIn = options.expiresIn || null; // milliseconds
+    this.defaultResponse = options.defaultResponse; // used once the request has expired
+    this.failOnReject = options.failOnReject || false;
+    this.metadata = options.metadata || {};
+  }
+
+  async execAsync(shared) {
+    if (shared[this.key] === undefined) {
+      throw new SuspendRun({
+        key: this.key,
+        kind: this.kind,
+        node: this.name,
+        prompt: this.prompt,
+        schema: this.schema,
+        expiresIn: this.expiresIn,
+        defaultResponse: this.defaultResponse,
+        metadata: this.metadata
+      });
+    }
+
+    const response = this.kind === 'approval'
+      ? this._normalizeApproval(shared[this.key])
+      : shared[this.key];
+
+    if (this.kind === 'approval' && !response.approved && this.failOnReject) {
+      throw new ApprovalRejectedError(this.key, response);
+    }
+    return response;
+  }
+
+  async postAsync(shared, prepRes, execRes) {
+    shared[this.key] = execRes;
+    if (this.kind === 'approval') {
+      return execRes.approved ? 'approved' : 'rejected';
+    }
+    return 'default';
+  }
+
+  _normalizeApproval(response) {
+    if (typeof response === 'boolean') {
+      return { approved: response };
+    }
+    if (typeof response === 'string') {
+      return { approved: ['approve', 'approved', 'yes', 'y', 'true'].includes(response.toLowerCase()) };
+    }
+    return { ...response, approved: Boolean(response?.approved) };
+  }
+}
+
+// Convenience functions
+export const createInputNode = (options) => new HumanInputNode({ ...options, kind: 'input' });
+export const createApprovalNode = (options) => new HumanInputNode({ ...options, kind: 'approval' });
+
+export default HumanInputNode;
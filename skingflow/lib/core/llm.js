@@ -8,7 +8,8 @@
  */
 
 import { EventEmitter } from 'events';
-import { AsyncNode } from '../../skingflow.js';
+import { AsyncNode, AbortError, TimeoutError } from '../../skingflow.js';
+import { estimateTokens, estimateMessageTokens, getModelPricing, calculateCost } from './usage.js';
 
 /**
  * LLM Configuration Schema
@@ -37,6 +38,9 @@ export class LLMConfig {
     
     // Custom configuration for specific providers
     this.custom = options.custom || {};
+
+    // USD per million tokens ({ input, output, cachedInput }); defaults to MODEL_PRICING
+    this.pricing = options.pricing || null;
   }
 }
 
@@ -101,17 +105,168 @@ export class PromptTemplate {
   }
 }
 
+/**
+ * Tool Call Accumulator
+ *
+ * APIs stream a tool call in fragments spread over many chunks. Fragments are
+ * joined by index, and each call becomes one normalized event once complete:
+ * { type: 'tool_call', id, name, arguments } with the arguments parsed. When
+ * they aren't valid JSON, `arguments` is the raw string and `error` says why.
+ */
+export class ToolCallAccumulator {
+  constructor() {
+    this.calls = new Map(); // index -> { id, name, arguments }
+  }
+
+  get size() {
+    return this.calls.size;
+  }
+
+  /**
+   * Add a fragment { index, id?, name?, arguments? } and return the partial
+   * event { type: 'tool_call_delta', index, id, name, arguments } for it
+   */
+  add({ index = 0, id, name, arguments: args }) {
+    let call = this.calls.get(index);
+    if (!call) {
+      call = { id: null, name: '', arguments: '' };
+      this.calls.set(index, call);
+    }
+    if (id) call.id = id;
+    if (name) call.name += name;
+    if (args) call.arguments += typeof args === 'string' ? args : JSON.stringify(args);
+    return { type: 'tool_call_delta', index, id: call.id, name: call.name, arguments: args || '' };
+  }
+
+  /**
+   * Finish the call at `index`; returns its event, or null if there is none
+   */
+  complete(index) {
+    const call = this.calls.get(index);
+    if (!call) return null;
+    this.calls.delete(index);
+    return ToolCallAccumulator.toEvent(call, index);
+  }
+
+  /**
+   * Finish every pending call, in index order
+   */
+  flush() {
+    const indexes = Array.from(this.calls.keys()).sort((a, b) => a - b);
+    return indexes.map(index => this.complete(index));
+  }
+
+  static toEvent({ id, name, arguments: raw }, index = 0) {
+    const event = { type: 'tool_call', id: id || `call_${index}`, name, arguments: {} };
+    if (raw.trim()) {
+      try {
+        event.arguments = JSON.parse(raw);
+      } catch (error) {
+        event.arguments = raw;
+        event.error = `Invalid tool call arguments: ${error.message}`;
+      }
+    }
+    return event;
+  }
+}
+
+/**
+ * Tool definitions as { name, description, parameters }. Accepts
+ * ToolDefinitions, Tools, OpenAI function tools and plain objects.
+ */
+function normalizeTools(tools = []) {
+  return tools.map(tool => {
+    const definition = tool.definition || tool;
+    const spec = typeof definition.toOpenAIFunction === 'function'
+      ? definition.toOpenAIFunction().function
+      : definition.function || definition;
+    return {
+      name: spec.name,
+      description: spec.description || '',
+      parameters: spec.parameters || spec.input_schema || { type: 'object', properties: {} }
+    };
+  });
+}
+
+/**
+ * Usage Meter - token counts for one request. Counts the API reports win;
+ * missing ones are estimated from the prompt and the streamed output.
+ */
+class UsageMeter {
+  constructor(messages) {
+    this.messages = messages;
+    this.output = '';
+    this.reported = {};
+  }
+
+  // Count a streamed chunk towards the output and pass it on
+  add(chunk) {
+    if (typeof chunk === 'string') {
+      this.output += chunk;
+    } else if (chunk?.type === 'tool_call') {
+      this.output += chunk.name + (typeof chunk.arguments === 'string' ? chunk.arguments : JSON.stringify(chunk.arguments));
+    }
+    return chunk;
+  }
+
+  *addAll(chunks) {
+    for (const chunk of chunks) yield this.add(chunk);
+  }
+
+  report(usage) {
+    for (const [key, value] of Object.entries(usage)) {
+      if (value !== undefined && value !== null) this.reported[key] = value;
+    }
+  }
+
+  get usage() {
+    const { inputTokens, outputTokens, cachedTokens = 0 } = this.reported;
+    return {
+      inputTokens: inputTokens ?? estimateMessageTokens(this.messages),
+      outputTokens: outputTokens ?? estimateTokens(this.output),
+      cachedTokens,
+      estimated: inputTokens === undefined || outputTokens === undefined
+    };
+  }
+}
+
+/**
+ * Tool call arguments as an object. Arguments that never parsed (the call's
+ * tool_result carries that error) become {} so the history can still be sent.
+ */
+function toolInput(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    const input = JSON.parse(args || '{}');
+    return input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Abstract LLM Provider Interface
+ *
+ * stream() yields text chunks and normalized tool-call events; pass
+ * `toolCallDeltas: true` to also get the partial 'tool_call_delta' events.
+ * Every request ends with a 'usage' event, also passed to `options.onUsage`.
+ * With a budget policy set, `options.budgetScope` ({ sessionId, userId })
+ * says whose budget a request is charged to.
  */
 export class LLMProvider extends EventEmitter {
   constructor(config) {
     super();
     this.config = config instanceof LLMConfig ? config : new LLMConfig(config);
     this.client = null;
+    this.budget = null;
     this.initialized = false;
   }
 
+  setBudget(budget) {
+    this.budget = budget;
+    return this;
+  }
+
   async initialize() {
     throw new Error('initialize() must be implemented by provider');
   }
@@ -123,7 +278,7 @@ export class LLMProvider extends EventEmitter {
   async complete(messages, options = {}) {
     const chunks = [];
     for await (const chunk of this.stream(messages, options)) {
-      chunks.push(chunk);
+      if (typeof chunk === 'string') chunks.push(chunk);
     }
     return chunks.join('');
   }
@@ -141,10 +296,108 @@ export class LLMProvider extends EventEmitter {
   }
 
   mergeOptions(options) {
-    return {
+    // The abort signal, trace span, callbacks and event switches are request options, not model parameters
+    const { signal, traceSpan, onUsage, budgetScope, budgetReservation, toolCallDeltas, tools, toolChoice, ...rest } = options;
+    const merged = {
       ...this.config.parameters,
-      ...options
+      ...rest
+    };
+    if (tools?.length) {
+      merged.tools = this.formatTools(tools);
+      if (toolChoice) merged.tool_choice = this.formatToolChoice(toolChoice);
+    }
+    return merged;
+  }
+
+  /**
+   * Tool definitions in the API's format (OpenAI function tools by default)
+   */
+  formatTools(tools) {
+    return normalizeTools(tools).map(tool => ({ type: 'function', function: tool }));
+  }
+
+  /**
+   * toolChoice ('auto', 'none', 'required' or a tool name) in the API's format
+   */
+  formatToolChoice(choice) {
+    if (['auto', 'none', 'required'].includes(choice)) return choice;
+    return { type: 'function', function: { name: choice } };
+  }
+
+  /**
+   * Put a request's maxTokens, e.g. one lowered by the budget, where the
+   * API reads it
+   */
+  _setMaxTokens(params, maxTokens) {
+    if (maxTokens !== undefined && maxTokens !== null) params.max_tokens = maxTokens;
+    return params;
+  }
+
+  /**
+   * Check a request against the budget policy before sending it. Returns the
+   * options to use, with maxTokens lowered when the policy truncates and the
+   * budgetReservation that _reportUsage settles or _releaseBudget frees.
+   */
+  _applyBudget(messages, options) {
+    if (!this.budget) return options;
+    const { maxTokens, reservation } = this.budget.authorize({
+      inputTokens: estimateMessageTokens(this.formatMessages(messages)),
+      outputTokens: options.maxTokens ?? this.config.parameters.maxTokens,
+      price: this.config.pricing || getModelPricing(this.config.model)
+    }, options.budgetScope);
+    return { ...options, maxTokens, budgetReservation: reservation };
+  }
+
+  // A request that reported no usage holds nothing any more
+  _releaseBudget(options) {
+    this.budget?.release(options.budgetReservation);
+  }
+
+  /**
+   * Child span for one request when the caller passes options.traceSpan
+   */
+  _startSpan(options) {
+    return options.traceSpan?.startChild(`llm ${this.config.model}`, {
+      kind: 'client',
+      attributes: {
+        'gen_ai.system': this.config.provider,
+        'gen_ai.request.model': this.config.model
+      }
+    }) ?? null;
+  }
+
+  /**
+   * Report a request's usage from its meter once the response has started:
+   * { provider, model, inputTokens, outputTokens, cachedTokens, estimated, cost }
+   */
+  _reportUsage(meter, span, options = {}) {
+    const usage = {
+      provider: this.config.provider,
+      model: this.config.model,
+      ...meter.usage
     };
+    usage.cost = calculateCost(usage, this.config.pricing || getModelPricing(this.config.model));
+    span?.setAttributes({
+      'gen_ai.usage.input_tokens': usage.inputTokens,
+      'gen_ai.usage.output_tokens': usage.outputTokens,
+      'skingflow.llm.cost': usage.cost
+    });
+    this.budget?.record(usage, options.budgetScope, options.budgetReservation);
+    this.emit('usage', usage);
+    options.onUsage?.(usage);
+    return usage;
+  }
+
+  /**
+   * Report a failed request; aborts surface as AbortError (or TimeoutError)
+   */
+  _handleError(error, signal) {
+    if (signal?.aborted) {
+      if (error instanceof AbortError || error instanceof TimeoutError) return error;
+      return AbortError.from(signal, 'LLM request aborted');
+    }
+    this.emit('error', error);
+    return error;
   }
 }
 
@@ -152,6 +405,13 @@ export class LLMProvider extends EventEmitter {
  * OpenAI Provider
  */
 export class OpenAIProvider extends LLMProvider {
+  constructor(config) {
+    super(config);
+    // Ask for usage in the stream unless custom.includeUsage is false; turned
+    // off by the first server that rejects stream_options
+    this.includeUsage = this.config.custom.includeUsage !== false;
+  }
+
   async initialize() {
     if (this.initialized) return;
     
@@ -169,6 +429,7 @@ export class OpenAIProvider extends LLMProvider {
 
   async *stream(messages, options = {}) {
     if (!this.initialized) await this.initialize();
+    options = this._applyBudget(messages, options);
     
     const params = {
       model: this.config.model,
@@ -176,24 +437,75 @@ export class OpenAIProvider extends LLMProvider {
       stream: true,
       ...this.mergeOptions(options)
     };
+    this._setMaxTokens(params, options.maxTokens);
+    // Usage arrives in a last chunk without choices
+    if (this.includeUsage) {
+      params.stream_options = { include_usage: true, ...params.stream_options };
+    }
+    const span = this._startSpan(options);
+    const meter = new UsageMeter(params.messages);
+    let stream = null;
+    let failure = null;
 
     try {
-      const stream = await this.client.chat.completions.create(params);
+      stream = await this._createStream(params, options.signal);
+      const toolCalls = new ToolCallAccumulator();
       
       for await (const chunk of stream) {
-        const delta = chunk.choices[0]?.delta;
+        if (chunk.usage) {
+          meter.report({
+            inputTokens: chunk.usage.prompt_tokens,
+            outputTokens: chunk.usage.completion_tokens,
+            cachedTokens: chunk.usage.prompt_tokens_details?.cached_tokens
+          });
+        }
+        const choice = chunk.choices[0];
+        const delta = choice?.delta;
         if (delta?.content) {
-          yield delta.content;
+          yield meter.add(delta.content);
         }
         
-        // Handle function calls
-        if (delta?.tool_calls) {
-          yield { type: 'tool_calls', content: delta.tool_calls };
+        // Tool calls arrive as fragments keyed by index
+        for (const fragment of delta?.tool_calls || []) {
+          const event = toolCalls.add({
+            index: fragment.index,
+            id: fragment.id,
+            name: fragment.function?.name,
+            arguments: fragment.function?.arguments
+          });
+          if (options.toolCallDeltas) yield event;
+        }
+        if (choice?.finish_reason) {
+          yield* meter.addAll(toolCalls.flush());
         }
       }
+      yield* meter.addAll(toolCalls.flush());
     } catch (error) {
-      this.emit('error', error);
-      throw error;
+      failure = this._handleError(error, options.signal);
+      throw failure;
+    } finally {
+      // Tokens are spent once the request is accepted, even if the stream stops early
+      if (stream) this._reportUsage(meter, span, options);
+      this._releaseBudget(options);
+      span?.end(failure);
+    }
+  }
+
+  /**
+   * OpenAI-compatible servers that don't know stream_options reject the
+   * request; send it again without, and estimate usage from then on
+   */
+  async _createStream(params, signal) {
+    try {
+      return await this.client.chat.completions.create(params, { signal });
+    } catch (error) {
+      const rejected = this.includeUsage && error?.status === 400
+        && /stream_options|include_usage/.test(error.message);
+      if (!rejected) throw error;
+      this.includeUsage = false;
+      const retry = { ...params };
+      delete retry.stream_options;
+      return await this.client.chat.completions.create(retry, { signal });
     }
   }
 }
@@ -217,8 +529,60 @@ export class AnthropicProvider extends LLMProvider {
     this.initialized = true;
   }
 
+  /**
+   * Tools as { name, description, input_schema }
+   */
+  formatTools(tools) {
+    return normalizeTools(tools).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      input_schema: parameters
+    }));
+  }
+
+  formatToolChoice(choice) {
+    if (choice === 'required') return { type: 'any' };
+    if (['auto', 'none'].includes(choice)) return { type: choice };
+    return { type: 'tool', name: choice };
+  }
+
+  /**
+   * Translate OpenAI-style tool history into content blocks: assistant
+   * `tool_calls` become tool_use blocks and consecutive `tool` messages one
+   * user message of tool_result blocks. Anthropic-format messages pass through.
+   */
+  formatMessages(messages) {
+    const formatted = [];
+    for (const message of super.formatMessages(messages)) {
+      if (message.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        };
+        const last = formatted[formatted.length - 1];
+        if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+          last.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+      } else if (message.role === 'assistant' && message.tool_calls?.length) {
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        for (const call of message.tool_calls) {
+          const fn = call.function || call;
+          content.push({ type: 'tool_use', id: call.id, name: fn.name, input: toolInput(fn.arguments) });
+        }
+        formatted.push({ role: 'assistant', content });
+      } else {
+        formatted.push(message);
+      }
+    }
+    return formatted;
+  }
+
   async *stream(messages, options = {}) {
     if (!this.initialized) await this.initialize();
+    options = this._applyBudget(messages, options);
     
     const formattedMessages = this.formatMessages(messages);
     const systemMessage = formattedMessages.find(m => m.role === 'system');
@@ -227,7 +591,7 @@ export class AnthropicProvider extends LLMProvider {
     const params = {
       model: this.config.model,
       messages: userMessages,
-      max_tokens: this.config.parameters.maxTokens,
+      max_tokens: options.maxTokens ?? this.config.parameters.maxTokens,
       stream: true,
       ...this.mergeOptions(options)
     };
@@ -235,18 +599,51 @@ export class AnthropicProvider extends LLMProvider {
     if (systemMessage) {
       params.system = systemMessage.content;
     }
+    const span = this._startSpan(options);
+    const meter = new UsageMeter(formattedMessages);
+    let stream = null;
+    let failure = null;
 
     try {
-      const stream = await this.client.messages.create(params);
+      stream = await this.client.messages.create(params, { signal: options.signal });
+      const toolCalls = new ToolCallAccumulator();
       
       for await (const chunk of stream) {
-        if (chunk.type === 'content_block_delta') {
-          yield chunk.delta.text || '';
+        if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+          // The input arrives afterwards as input_json_delta fragments
+          const event = toolCalls.add({ index: chunk.index, id: chunk.content_block.id, name: chunk.content_block.name });
+          if (options.toolCallDeltas) yield event;
+        } else if (chunk.type === 'content_block_delta') {
+          if (chunk.delta.type === 'input_json_delta') {
+            const event = toolCalls.add({ index: chunk.index, arguments: chunk.delta.partial_json });
+            if (options.toolCallDeltas) yield event;
+          } else if (chunk.delta.type === 'text_delta' && chunk.delta.text) {
+            // Other deltas (thinking, signatures, citations) carry no output text
+            yield meter.add(chunk.delta.text);
+          }
+        } else if (chunk.type === 'content_block_stop') {
+          const event = toolCalls.complete(chunk.index);
+          if (event) yield meter.add(event);
+        } else if (chunk.type === 'message_start' && chunk.message.usage) {
+          // input_tokens excludes prompt-cache reads and writes
+          const usage = chunk.message.usage;
+          const cachedTokens = usage.cache_read_input_tokens ?? 0;
+          meter.report({
+            inputTokens: (usage.input_tokens ?? 0) + cachedTokens + (usage.cache_creation_input_tokens ?? 0),
+            cachedTokens
+          });
+        } else if (chunk.type === 'message_delta') {
+          meter.report({ outputTokens: chunk.usage?.output_tokens });
         }
       }
+      yield* meter.addAll(toolCalls.flush());
     } catch (error) {
-      this.emit('error', error);
-      throw error;
+      failure = this._handleError(error, options.signal);
+      throw failure;
+    } finally {
+      if (stream) this._reportUsage(meter, span, options);
+      this._releaseBudget(options);
+      span?.end(failure);
     }
   }
 }
@@ -267,6 +664,7 @@ export class HTTPProvider extends LLMProvider {
 
   async *stream(messages, options = {}) {
     if (!this.initialized) await this.initialize();
+    options = this._applyBudget(messages, options);
     
     const payload = {
       model: this.config.model,
@@ -275,6 +673,7 @@ export class HTTPProvider extends LLMProvider {
       ...this.mergeOptions(options),
       ...this.config.custom
     };
+    this._setMaxTokens(payload, options.maxTokens);
 
     const headers = {
       'Content-Type': 'application/json',
@@ -284,12 +683,19 @@ export class HTTPProvider extends LLMProvider {
     if (this.config.apiKey) {
       headers['Authorization'] = `Bearer ${this.config.apiKey}`;
     }
+    const span = this._startSpan(options);
+    const meter = new UsageMeter(payload.messages);
+    let response = null;
+    let failure = null;
+
+    const toolCalls = new ToolCallAccumulator();
 
     try {
-      const response = await fetch(this.config.baseUrl, {
+      response = await fetch(this.config.baseUrl, {
         method: 'POST',
         headers,
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal: options.signal
       });
 
       if (!response.ok) {
@@ -313,17 +719,28 @@ export class HTTPProvider extends LLMProvider {
 
             try {
               const parsed = JSON.parse(data);
+              const usage = this._extractUsage(parsed);
+              if (usage) meter.report(usage);
               const content = this._extractContent(parsed);
-              if (content) yield content;
+              if (content) yield meter.add(content);
+              for (const fragment of this._extractToolCalls(parsed)) {
+                const event = toolCalls.add(fragment);
+                if (options.toolCallDeltas) yield event;
+              }
             } catch (e) {
               // Ignore parsing errors
             }
           }
         }
       }
+      yield* meter.addAll(toolCalls.flush());
     } catch (error) {
-      this.emit('error', error);
-      throw error;
+      failure = this._handleError(error, options.signal);
+      throw failure;
+    } finally {
+      if (response?.ok) this._reportUsage(meter, span, options);
+      this._releaseBudget(options);
+      span?.end(failure);
     }
   }
 
@@ -334,6 +751,26 @@ export class HTTPProvider extends LLMProvider {
            data.text || 
            '';
   }
+
+  _extractToolCalls(data) {
+    // Fragments { index, id, name, arguments } in OpenAI's delta format
+    return (data.choices?.[0]?.delta?.tool_calls || []).map(call => ({
+      index: call.index,
+      id: call.id,
+      name: call.function?.name,
+      arguments: call.function?.arguments
+    }));
+  }
+
+  _extractUsage(data) {
+    // OpenAI-compatible APIs send usage with the last chunk
+    if (!data.usage) return null;
+    return {
+      inputTokens: data.usage.prompt_tokens ?? data.usage.input_tokens,
+      outputTokens: data.usage.completion_tokens ?? data.usage.output_tokens,
+      cachedTokens: data.usage.prompt_tokens_details?.cached_tokens
+    };
+  }
 }
 
 /**
@@ -347,9 +784,30 @@ export class OllamaProvider extends HTTPProvider {
     });
   }
 
+  _setMaxTokens(payload, maxTokens) {
+    if (maxTokens !== undefined && maxTokens !== null) {
+      payload.options = { ...payload.options, num_predict: maxTokens };
+    }
+    return payload;
+  }
+
   _extractContent(data) {
     return data.message?.content || '';
   }
+
+  _extractToolCalls(data) {
+    // Ollama sends each call whole, with the arguments as an object
+    return (data.message?.tool_calls || []).map((call, index) => ({
+      index,
+      name: call.function?.name,
+      arguments: call.function?.arguments
+    }));
+  }
+
+  _extractUsage(data) {
+    if (!data.done) return null;
+    return { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count };
+  }
 }
 
 /**
@@ -433,8 +891,9 @@ export class LLMNode extends AsyncNode {
   }
 
   async *execAsyncStream(prepRes) {
+    const options = { ...prepRes.options, signal: this.signal, traceSpan: this.traceSpan };
     try {
-      for await (const chunk of this.llm.stream(prepRes.messages, prepRes.options)) {
+      for await (const chunk of this.llm.stream(prepRes.messages, options)) {
         if (typeof chunk === 'string') {
           yield chunk;
         } else {
@@ -443,7 +902,9 @@ export class LLMNode extends AsyncNode {
         }
       }
     } catch (error) {
-      yield `Error: ${error.message}`;
+      if (!(error instanceof AbortError)) {
+        yield `Error: ${error.message}`;
+      }
       throw error;
     }
   }
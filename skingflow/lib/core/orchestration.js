@@ -8,7 +8,9 @@
  */
 
 import { EventEmitter } from 'events';
-import { AsyncNode, AsyncFlow } from '../../skingflow.js';
+import { AsyncNode, AsyncFlow, AbortError, TimeoutError, RetryPolicy, SuspendRun } from '../../skingflow.js';
+import { HumanInputNode } from './human-input.js';
+import { compileExpression, evaluateExpression, isTemplate, parseTemplate, renderTemplate } from './expression.js';
 
 /**
  * Flow Step Definition
@@ -17,19 +19,73 @@ export class FlowStep {
   constructor(options = {}) {
     this.id = options.id || FlowStep.generateId();
     this.name = options.name || this.id;
-    this.type = options.type || 'node'; // node, flow, condition, loop, parallel
+    this.type = options.type || 'node'; // node, flow, condition, loop, parallel, map
     this.node = options.node || null;
     this.condition = options.condition || null;
     this.onSuccess = options.onSuccess || 'continue';
     this.onFailure = options.onFailure || 'stop';
     this.retries = options.retries || 0;
-    this.timeout = options.timeout || 30000;
+    this.retryDelay = options.retryDelay ?? 1000; // base delay for retries, milliseconds
+    this.retryPolicy = options.retryPolicy || new RetryPolicy({ backoff: 'exponential' });
+    this.timeout = options.timeout || 0; // milliseconds, 0 = no limit; per attempt for node steps, whole step otherwise
     this.metadata = options.metadata || {};
+    this.dependsOn = [].concat(options.dependsOn || []); // step ids, used in 'dag' mode
+    this.compensate = FlowStep.toCompensation(options.compensate, this.name);
+    this.inputs = options.inputs || null; // { key: expression } or [path], visible to this step only
+    this.outputs = options.outputs || null; // path for the result, or { path: expression }
+    this.isolate = options.isolate || false; // flow steps: the sub-flow only sees its inputs
+    this.action = options.action || null; // flow steps: expression for the action, default the sub-flow's result
+    this.routes = options.routes || null; // flow steps: { action: route } overriding onSuccess
   }
 
   static generateId() {
     return `step_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
+
+  /**
+   * Compensating action that undoes this step: a FlowStep, or a function
+   * (shared, { step, error }). AsyncNodes are wrapped in a FlowStep.
+   */
+  static toCompensation(compensate, name) {
+    if (compensate instanceof AsyncNode) {
+      return new FlowStep({ node: compensate, name: `compensate:${name}` });
+    }
+    return compensate || null;
+  }
+
+  /**
+   * Route after a successful run: the route for the sub-flow's action, or onSuccess
+   */
+  successRoute(action = null) {
+    if (action !== null && this.routes && Object.hasOwn(this.routes, action)) {
+      return this.routes[action];
+    }
+    return this.onSuccess;
+  }
+
+  /**
+   * Parse an onSuccess/onFailure value: continue, stop, skip, goto:<stepId>, fallback:<stepId>
+   */
+  static parseRoute(route) {
+    const [action, ...rest] = String(route).split(':');
+    const target = rest.join(':') || null;
+    
+    if (!['continue', 'stop', 'skip', 'goto', 'fallback'].includes(action)) {
+      throw new Error(`Unknown step route '${route}'`);
+    }
+    const needsTarget = action === 'goto' || action === 'fallback';
+    if (needsTarget !== Boolean(target)) {
+      throw new Error(needsTarget ? `Route '${route}' needs a step id` : `Route '${action}' takes no step id`);
+    }
+    return { action, target };
+  }
+}
+
+// A string naming a key of shared reads that key, so keys that are not valid
+// identifiers (such as 'needs-review') keep working; anything else is an expression
+function testExpression(source, shared) {
+  if (Object.hasOwn(shared, source)) return Boolean(shared[source]);
+  return Boolean(evaluateExpression(source, shared));
 }
 
 /**
@@ -46,8 +102,7 @@ export class FlowCondition {
     if (typeof this.predicate === 'function') {
       return await this.predicate(shared);
     } else if (typeof this.predicate === 'string') {
-      // Simple string evaluation
-      return shared[this.predicate] || false;
+      return testExpression(this.predicate, shared);
     } else {
       return Boolean(this.predicate);
     }
@@ -58,6 +113,18 @@ export class FlowCondition {
   }
 }
 
+/**
+ * Raised by a parallel group with onConflict 'error' when branches disagree
+ */
+export class ParallelConflictError extends Error {
+  constructor(key, steps) {
+    super(`Parallel steps ${steps.join(', ')} wrote conflicting values to '${key}'`);
+    this.name = 'ParallelConflictError';
+    this.key = key;
+    this.steps = steps;
+  }
+}
+
 /**
  * Parallel Execution Group
  */
@@ -67,9 +134,10 @@ export class ParallelGroup {
     this.waitForAll = options.waitForAll !== false;
     this.failFast = options.failFast !== false;
     this.maxConcurrency = options.maxConcurrency || null;
+    this.onConflict = options.onConflict || 'last'; // last, first, merge, error, or (key, writes, shared) => value
   }
 
-  async *execute(orchestrator, shared) {
+  async *execute(orchestrator, shared, signal = orchestrator.signal, span = orchestrator.traceSpan) {
     const results = [];
     const errors = [];
     
@@ -79,7 +147,8 @@ export class ParallelGroup {
         const batch = this.steps.slice(i, i + this.maxConcurrency);
         yield `Executing parallel batch ${Math.floor(i / this.maxConcurrency) + 1}...\n`;
         
-        const batchResults = await this._executeBatch(orchestrator, shared, batch);
+        const batchResults = await this._executeBatch(orchestrator, shared, batch, signal, span);
+        yield* this._merge(orchestrator, shared, batchResults.results);
         results.push(...batchResults.results);
         errors.push(...batchResults.errors);
         
@@ -88,7 +157,8 @@ export class ParallelGroup {
     } else {
       // Execute all at once
       yield `Executing ${this.steps.length} steps in parallel...\n`;
-      const batchResults = await this._executeBatch(orchestrator, shared, this.steps);
+      const batchResults = await this._executeBatch(orchestrator, shared, this.steps, signal, span);
+      yield* this._merge(orchestrator, shared, batchResults.results);
       results.push(...batchResults.results);
       errors.push(...batchResults.errors);
     }
@@ -100,11 +170,13 @@ export class ParallelGroup {
     return { results, errors };
   }
 
-  async _executeBatch(orchestrator, shared, steps) {
+  async _executeBatch(orchestrator, shared, steps, signal, span) {
+    // Each branch writes to its own scope; successful ones are merged afterwards
     const promises = steps.map(async (step) => {
+      const scope = new SharedScope(shared);
       try {
-        const result = await orchestrator._executeStep(step, shared);
-        return { step: step.id, result, success: true };
+        const result = await orchestrator._executeStep(step, scope.proxy, signal, span);
+        return { step: step.id, result, success: true, name: step.name, scope };
       } catch (error) {
         return { step: step.id, error, success: false };
       }
@@ -112,11 +184,73 @@ export class ParallelGroup {
     
     const outcomes = await Promise.all(promises);
     
+    // Waiting for input and cancellation belong to the whole run, not one branch
+    const halt = outcomes.find(o => o.error instanceof SuspendRun || o.error instanceof AbortError);
+    if (halt) throw halt.error;
+    
     return {
       results: outcomes.filter(o => o.success),
       errors: outcomes.filter(o => !o.success)
     };
   }
+
+  /**
+   * Write the branches' changes to shared, resolving keys that more than one
+   * branch set to different values with the onConflict policy
+   */
+  async *_merge(orchestrator, shared, outcomes) {
+    const writers = new Map(); // key -> [{ step, value }] in step order
+    for (const { name, scope } of outcomes) {
+      for (const [key, value] of scope.writes) {
+        if (!writers.has(key)) writers.set(key, []);
+        writers.get(key).push({ step: name, value });
+      }
+    }
+    
+    const merged = new Map();
+    for (const [key, writes] of writers) {
+      if (writes.length > 1 && writes.some(write => write.value !== writes[0].value)) {
+        const steps = writes.map(write => write.step);
+        const policy = typeof this.onConflict === 'function' ? 'custom' : this.onConflict;
+        yield `Warning: parallel steps ${steps.join(', ')} all wrote '${key}', resolving with '${policy}'\n`;
+        orchestrator.events.emit('conflict', { key, steps, policy });
+        merged.set(key, await this._resolveConflict(key, writes, shared));
+      } else {
+        merged.set(key, writes[writes.length - 1].value);
+      }
+    }
+    
+    for (const [key, value] of merged) {
+      if (value === DELETED) {
+        delete shared[key];
+      } else {
+        shared[key] = value;
+      }
+    }
+  }
+
+  async _resolveConflict(key, writes, shared) {
+    const values = writes.map(write => write.value);
+    switch (this.onConflict) {
+      case 'last':
+        return values[values.length - 1];
+      case 'first':
+        return values[0];
+      case 'merge':
+        if (values.every(Array.isArray)) return values.flat();
+        if (values.every(value => value !== null && typeof value === 'object' && !Array.isArray(value))) {
+          return Object.assign({}, ...values);
+        }
+        return values[values.length - 1];
+      case 'error':
+        throw new ParallelConflictError(key, writes.map(write => write.step));
+      default:
+        if (typeof this.onConflict === 'function') {
+          return await this.onConflict(key, writes, shared);
+        }
+        throw new Error(`Unknown conflict policy: ${this.onConflict}`);
+    }
+  }
 }
 
 /**
@@ -125,38 +259,29 @@ export class ParallelGroup {
 export class FlowLoop {
   constructor(steps, condition, options = {}) {
     this.steps = steps;
-    this.condition = condition; // Function or FlowCondition
+    this.condition = condition; // Function, expression string or FlowCondition
     this.maxIterations = options.maxIterations || 100;
-    this.breakOn = options.breakOn || null; // Function to check break condition
+    this.breakOn = options.breakOn || null; // Function or expression string to check break condition
   }
 
-  async *execute(orchestrator, shared) {
+  async *execute(orchestrator, shared, signal = orchestrator.signal, span = orchestrator.traceSpan) {
     let iteration = 0;
     
     while (iteration < this.maxIterations) {
       yield `Loop iteration ${iteration + 1}...\n`;
       
       // Check continue condition
-      let shouldContinue;
-      if (this.condition instanceof FlowCondition) {
-        shouldContinue = await this.condition.evaluate(shared);
-      } else if (typeof this.condition === 'function') {
-        shouldContinue = await this.condition(shared, iteration);
-      } else {
-        shouldContinue = Boolean(this.condition);
-      }
-      
-      if (!shouldContinue) {
+      if (!await this._test(this.condition, shared, iteration)) {
         yield `Loop condition failed, breaking at iteration ${iteration + 1}\n`;
         break;
       }
       
       // Execute loop steps
       for (const step of this.steps) {
-        yield* orchestrator._executeStepStream(step, shared);
+        yield* orchestrator._executeStepStream(step, shared, signal, span);
         
         // Check break condition
-        if (this.breakOn && await this.breakOn(shared, iteration)) {
+        if (this.breakOn && await this._test(this.breakOn, shared, iteration)) {
           yield `Break condition met, exiting loop\n`;
           return;
         }
@@ -169,12 +294,221 @@ export class FlowLoop {
       yield `Loop reached maximum iterations (${this.maxIterations})\n`;
     }
   }
+
+  // Expressions can also read the current `iteration`
+  async _test(predicate, shared, iteration) {
+    if (predicate instanceof FlowCondition) {
+      return await predicate.evaluate(shared);
+    } else if (typeof predicate === 'function') {
+      return await predicate(shared, iteration);
+    } else if (typeof predicate === 'string') {
+      return testExpression(predicate, { ...shared, iteration });
+    }
+    return Boolean(predicate);
+  }
+}
+
+/**
+ * Map-Reduce over a list in the shared store
+ *
+ * Runs a step once per item against its own child shared object (a shallow
+ * copy of the parent plus the item), then folds the results with a reducer
+ * and writes the aggregate back to the parent.
+ */
+export class FlowMap {
+  constructor(itemsSelector, step, options = {}) {
+    this.itemsSelector = itemsSelector; // function(shared) or dot path
+    this.step = step;
+    this.concurrency = options.concurrency || 1;
+    this.reducer = options.reducer || (results => results);
+    this.itemKey = options.itemKey || 'item';
+    this.indexKey = options.indexKey === undefined ? 'index' : options.indexKey; // null leaves the index out
+    this.resultKey = options.resultKey || null; // child key holding the item result; default is the step's result
+    this.outputKey = options.outputKey || 'mapResults';
+    this.errorsKey = options.errorsKey || `${this.outputKey}Errors`;
+    this.failFast = options.failFast || false;
+    this.clone = options.clone || false; // structuredClone shared for each item instead of a shallow copy
+  }
+
+  async selectItems(shared) {
+    const items = typeof this.itemsSelector === 'function'
+      ? await this.itemsSelector(shared)
+      : readPath(shared, this.itemsSelector);
+    
+    if (!Array.isArray(items)) {
+      throw new Error(`Map items must be an array, got ${items === null ? 'null' : typeof items}`);
+    }
+    return items;
+  }
+
+  async *execute(orchestrator, shared, signal = orchestrator.signal, span = orchestrator.traceSpan) {
+    const items = await this.selectItems(shared);
+    const results = new Array(items.length);
+    const errors = [];
+    const children = new Map();
+    const running = new Map();
+    let next = 0;
+    
+    // Items still running when the map stops early are cancelled through this
+    const controller = new AbortController();
+    const itemSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+    
+    const start = (index) => {
+      const child = this.clone ? structuredClone(shared) : { ...shared };
+      child[this.itemKey] = items[index];
+      if (this.indexKey) child[this.indexKey] = index;
+      children.set(index, child);
+      running.set(index, orchestrator._executeStep(this.step, child, itemSignal, span).then(
+        output => ({ index, output }),
+        error => ({ index, error })
+      ));
+    };
+    
+    yield `Mapping ${items.length} items (concurrency ${this.concurrency})...\n`;
+    try {
+      while (next < items.length && running.size < this.concurrency) start(next++);
+      
+      while (running.size > 0) {
+        const { index, output, error } = await Promise.race(running.values());
+        running.delete(index);
+        
+        if (error) {
+          if (error instanceof AbortError || error instanceof SuspendRun || signal?.aborted) throw error;
+          errors.push({ index, item: items[index], error: error.message });
+          yield `Item ${index + 1}/${items.length} failed: ${error.message}\n`;
+          if (this.failFast) {
+            throw new Error(`Map item ${index + 1} failed: ${error.message}`);
+          }
+        } else {
+          results[index] = this.resultKey ? children.get(index)[this.resultKey] : output;
+          yield `Item ${index + 1}/${items.length} completed\n`;
+        }
+        
+        children.delete(index);
+        if (next < items.length) start(next++);
+      }
+    } finally {
+      if (running.size > 0) {
+        controller.abort();
+        await Promise.allSettled(running.values());
+      }
+    }
+    
+    const aggregate = await this.reducer(results, { items, errors, shared });
+    if (aggregate !== undefined) {
+      shared[this.outputKey] = aggregate;
+    }
+    shared[this.errorsKey] = errors;
+    
+    return { results, errors };
+  }
+}
+
+function readPath(obj, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// Copies objects along the path instead of mutating them, so a scope's parent is untouched
+function writePath(obj, path, value) {
+  const [key, ...rest] = String(path).split('.');
+  const current = obj[key];
+  obj[key] = rest.length === 0
+    ? value
+    : writePath(
+      Array.isArray(current) ? [...current] : current !== null && typeof current === 'object' ? { ...current } : {},
+      rest.join('.'),
+      value
+    );
+  return obj;
+}
+
+// Stream chunks through while collecting text output; returns the stream's return value
+async function* forwardStream(stream, onText) {
+  try {
+    for (;;) {
+      const { value, done } = await stream.next();
+      if (done) return value;
+      if (typeof value === 'string') onText(value);
+      yield value;
+    }
+  } finally {
+    await stream.return();
+  }
+}
+
+// A flow's stream tags chunks with the node that produced them; pass on the chunks themselves
+async function* untagStream(stream) {
+  try {
+    for (;;) {
+      const { value, done } = await stream.next();
+      if (done) return value;
+      yield value !== null && typeof value === 'object' && 'chunk' in value ? value.chunk : value;
+    }
+  } finally {
+    await stream.return();
+  }
+}
+
+const DELETED = Symbol('deleted');
+
+/**
+ * Copy-on-write view of a shared object. Reads fall through to the parent;
+ * writes and deletes stay in the scope until commit(). Only top-level keys
+ * are copied, so nested values should be replaced rather than mutated.
+ */
+class SharedScope {
+  constructor(parent, values = {}) {
+    this.parent = parent;
+    this.values = new Map(Object.entries(values)); // step inputs, never committed
+    this.writes = new Map();
+    this.proxy = new Proxy(parent, {
+      get: (target, key) => (this._owns(key) ? this._read(key) : Reflect.get(target, key)),
+      set: (target, key, value) => {
+        this.writes.set(key, value);
+        return true;
+      },
+      deleteProperty: (target, key) => {
+        this.writes.set(key, DELETED);
+        return true;
+      },
+      has: (target, key) => (this._owns(key) ? this.writes.get(key) !== DELETED : Reflect.has(target, key)),
+      ownKeys: (target) => [...new Set([...Reflect.ownKeys(target), ...this.values.keys(), ...this.writes.keys()])]
+        .filter(key => this.writes.get(key) !== DELETED),
+      getOwnPropertyDescriptor: (target, key) => {
+        if (!this._owns(key)) return Reflect.getOwnPropertyDescriptor(target, key);
+        if (this.writes.get(key) === DELETED) return undefined;
+        return { value: this._read(key), writable: true, enumerable: true, configurable: true };
+      }
+    });
+  }
+
+  _owns(key) {
+    return this.writes.has(key) || this.values.has(key);
+  }
+
+  _read(key) {
+    const value = this.writes.has(key) ? this.writes.get(key) : this.values.get(key);
+    return value === DELETED ? undefined : value;
+  }
+
+  commit() {
+    for (const [key, value] of this.writes) {
+      if (value === DELETED) {
+        delete this.parent[key];
+      } else {
+        this.parent[key] = value;
+      }
+    }
+  }
 }
 
 /**
  * Flow Orchestrator - Advanced flow composition
  */
 export class FlowOrchestrator extends AsyncFlow {
+  // Steps stop on the run's signal; the run then compensates before it ends
+  static settlesOnAbort = true;
+
   constructor(options = {}) {
     super();
     this.steps = [];
@@ -182,10 +516,18 @@ export class FlowOrchestrator extends AsyncFlow {
     this.middleware = [];
     this.options = {
       stopOnError: options.stopOnError !== false,
-      timeout: options.timeout || 300000, // 5 minutes
+      timeout: options.timeout || 0, // milliseconds for the whole run, 0 = no limit
       maxRetries: options.maxRetries || 3,
+      mode: 'sequential', // or 'dag' to schedule steps by dependsOn
+      maxConcurrency: null, // concurrent steps in 'dag' mode, null = unlimited
+      maxStepExecutions: 1000, // guards goto loops
+      compensate: true, // undo completed steps when the run fails
       ...options
     };
+    this.stepStatus = new Map(); // step id -> { status, error?, reason? } of the last run
+    this.events = new EventEmitter();
+    this.completedSteps = []; // { step, shared } of steps to compensate if the run fails
+    this.compensationReport = null;
     this.stats = {
       executions: 0,
       successes: 0,
@@ -261,6 +603,72 @@ export class FlowOrchestrator extends AsyncFlow {
     return this;
   }
 
+  /**
+   * Add map-reduce step: run `step` once per item selected from shared
+   */
+  addMap(itemsSelector, step, options = {}) {
+    const itemStep = step instanceof FlowStep ? step : new FlowStep({ node: step, name: options.itemName });
+    const map = new FlowMap(itemsSelector, itemStep, options);
+    
+    this.steps.push(new FlowStep({
+      type: 'map',
+      node: map,
+      name: options.name || 'map',
+      id: options.id
+    }));
+    return this;
+  }
+
+  /**
+   * Add a sub-flow step. Its output streams through this run; `isolate`,
+   * `inputs` and `outputs` control what it sees of shared and writes back,
+   * and `routes` picks the next step from its final action.
+   */
+  addFlow(flow, options = {}) {
+    if (!(flow instanceof AsyncFlow)) {
+      throw new Error('Sub-flow must be an AsyncFlow');
+    }
+    this.steps.push(new FlowStep({
+      name: flow.name || flow.constructor.name,
+      ...options,
+      type: 'flow',
+      node: flow
+    }));
+    return this;
+  }
+
+  /**
+   * Add a step that pauses the run until someone provides input
+   */
+  addInput(options = {}) {
+    const { id, onSuccess, onFailure, ...nodeOptions } = options;
+    const node = new HumanInputNode({ ...nodeOptions, kind: 'input' });
+    return this.addStep(node, { id, name: node.name, onSuccess, onFailure });
+  }
+
+  /**
+   * Add a step that pauses the run until someone approves it; a rejection
+   * fails the step, so onFailure decides what happens next
+   */
+  addApproval(options = {}) {
+    const { id, onSuccess, onFailure, ...nodeOptions } = options;
+    const node = new HumanInputNode({ ...nodeOptions, kind: 'approval', failOnReject: true });
+    return this.addStep(node, { id, name: node.name, onSuccess, onFailure });
+  }
+
+  /**
+   * Listen to orchestrator events (awaiting_input)
+   */
+  on(event, listener) {
+    this.events.on(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+
   /**
    * Set flow variable
    */
@@ -291,31 +699,47 @@ export class FlowOrchestrator extends AsyncFlow {
     const startTime = Date.now();
     this.stats.executions++;
     
+    // The whole run shares one deadline; steps get it as their parent signal
+    const deadline = TimeoutError.deadline(
+      this.options.timeout,
+      { node: this.name || this.constructor.name },
+      this.signal
+    );
+    const signal = deadline.signal;
+    
+    // Set when resuming a run that was waiting for input
+    const resumeState = this.resumeState;
+    this.resumeState = null;
+    
     try {
-      // Initialize shared context with variables
-      for (const [key, value] of this.variables) {
-        shared[key] = value;
+      if (resumeState) {
+        yield `Resuming flow orchestration at step ${resumeState.stepId}...\n`;
+      } else {
+        // Initialize shared context with variables; {{ expression }} templates
+        // are rendered against shared, including earlier variables
+        for (const [key, value] of this.variables) {
+          shared[key] = isTemplate(value) ? renderTemplate(value, shared) : value;
+        }
+        
+        yield `Starting flow orchestration with ${this.steps.length} steps...\n`;
       }
       
-      yield `Starting flow orchestration with ${this.steps.length} steps...\n`;
-      
-      // Execute steps sequentially
-      for (let i = 0; i < this.steps.length; i++) {
-        const step = this.steps[i];
-        
-        yield `\nStep ${i + 1}/${this.steps.length}: ${step.name}\n`;
-        yield '-'.repeat(40) + '\n';
-        
-        try {
-          yield* this._executeStepStream(step, shared);
-        } catch (error) {
-          yield `Step failed: ${error.message}\n`;
-          
-          if (this.options.stopOnError) {
-            throw error;
-          }
-        }
+      this.stepStatus = new Map(this.steps.map(step => [
+        step.id,
+        resumeState?.stepStatus?.[step.id] || { status: 'pending' }
+      ]));
+      // Steps completed before a suspension can still be compensated
+      this.completedSteps = this.steps
+        .filter(step => step.compensate && this.stepStatus.get(step.id).status === 'completed')
+        .map(step => ({ step, shared }));
+      this.compensationReport = null;
+      this._publishRun();
+      if (this.options.mode === 'dag') {
+        yield* this._executeDagStream(shared, signal);
+      } else {
+        yield* this._executeSequentialStream(shared, signal, resumeState?.stepId);
       }
+      yield this._finishStepStatus();
       
       this.stats.successes++;
       this.stats.totalTime += Date.now() - startTime;
@@ -323,177 +747,796 @@ export class FlowOrchestrator extends AsyncFlow {
       yield `\nFlow orchestration completed successfully!\n`;
       
     } catch (error) {
-      this.stats.failures++;
       this.stats.totalTime += Date.now() - startTime;
       
+      // Not a failure: AsyncFlow saves the run and resume() continues it
+      if (error instanceof SuspendRun) {
+        // A nested orchestrator (no runId) leaves the suspension to its parent run
+        if (!this.checkpointStore && this.runId) {
+          throw new Error(
+            `Cannot wait for input (${error.message}): the orchestrator has no checkpoint store, see setCheckpointStore()`,
+            { cause: error }
+          );
+        }
+        yield `\nWaiting for input: ${error.message}\n`;
+        throw error;
+      }
+      
+      this.stats.failures++;
+      yield this._finishStepStatus();
+      
+      if (this.completedSteps.length > 0 && this.options.compensate !== false) {
+        error.compensation = yield* this._compensate(error);
+      }
       yield `\nFlow orchestration failed: ${error.message}\n`;
       throw error;
+    } finally {
+      deadline.clear();
+      this._publishRun();
     }
   }
 
-  async *_executeStepStream(step, shared) {
-    const stepStartTime = Date.now();
-    let stepStats = this.stats.stepStats.get(step.id) || { calls: 0, successes: 0, failures: 0, totalTime: 0 };
-    stepStats.calls++;
+  /**
+   * Run steps in order, following each step's onSuccess/onFailure route.
+   * Steps only used as a fallback run when a failure routes to them.
+   */
+  async *_executeSequentialStream(shared, signal, startAt = null) {
+    this._validateRoutes();
     
-    try {
-      // Apply middleware
-      for (const middleware of this.middleware) {
-        if (middleware.beforeStep) {
-          await middleware.beforeStep(step, shared);
+    const fallbackOnly = new Set(this.steps
+      .map(step => FlowStep.parseRoute(step.onFailure))
+      .filter(route => route.action === 'fallback')
+      .map(route => route.target));
+    const nextIndex = (i) => {
+      let next = i + 1;
+      while (next < this.steps.length && fallbackOnly.has(this.steps[next].id)) next++;
+      return next;
+    };
+    
+    let executions = 0;
+    let i = startAt ? this.steps.findIndex(step => step.id === startAt) : nextIndex(-1);
+    if (i < 0) {
+      throw new Error(`Cannot resume at unknown step '${startAt}'`);
+    }
+    while (i < this.steps.length) {
+      const step = this.steps[i];
+      AbortError.throwIfAborted(signal);
+      if (++executions > this.options.maxStepExecutions) {
+        throw new Error(`Exceeded ${this.options.maxStepExecutions} step executions; check goto routes for loops`);
+      }
+      
+      yield `\nStep ${i + 1}/${this.steps.length}: ${step.name}\n`;
+      yield '-'.repeat(40) + '\n';
+      
+      let route;
+      let succeeded = false;
+      try {
+        this._setStepStatus(step, 'running');
+        const action = yield* this._executeStepStream(step, shared, signal);
+        this._setStepStatus(step, 'completed', action === null ? {} : { action });
+        route = FlowStep.parseRoute(step.successRoute(action));
+        succeeded = true;
+      } catch (error) {
+        // Remember where to continue; the step runs again once input arrives
+        if (error instanceof SuspendRun) {
+          this._setStepStatus(step, 'awaiting_input');
+          error.state = { stepId: step.id, stepStatus: this.getStepStatus() };
+          throw error;
         }
+        yield `Step failed: ${error.message}\n`;
+        route = yield* this._routeFailure(step, error, shared, signal);
       }
       
-      // Execute step based on type
-      switch (step.type) {
-        case 'node':
-          if (step.node) {
-            yield* step.node.execAsyncStream(shared);
-          }
-          break;
-          
-        case 'condition':
-          const conditionResult = await step.condition.evaluate(shared);
-          yield `Condition result: ${conditionResult}\n`;
-          
-          const nextStep = step.condition.getNextStep(conditionResult);
-          if (nextStep) {
-            yield* this._executeStepStream(nextStep, shared);
-          }
-          break;
-          
-        case 'parallel':
-          if (step.node instanceof ParallelGroup) {
-            const results = yield* step.node.execute(this, shared);
-            yield `Parallel execution completed: ${results.results.length} successes, ${results.errors.length} failures\n`;
+      switch (route.action) {
+        case 'stop':
+          yield `Stopping after step ${step.name}\n`;
+          for (const rest of this.steps.slice(i + 1)) {
+            if (this.stepStatus.get(rest.id)?.status === 'pending') {
+              this._setStepStatus(rest, 'skipped', { reason: `stopped by step '${step.id}'` });
+            }
           }
-          break;
+          return;
           
-        case 'loop':
-          if (step.node instanceof FlowLoop) {
-            yield* step.node.execute(this, shared);
-          }
+        case 'goto':
+          yield `Going to step ${route.target}\n`;
+          i = this.steps.findIndex(candidate => candidate.id === route.target);
           break;
           
-        case 'flow':
-          if (step.node instanceof AsyncFlow) {
-            const result = await step.node._runAsync(shared);
-            yield `Subflow completed with result: ${JSON.stringify(result)}\n`;
+        case 'skip': {
+          // On success, skip over the following step
+          const skipped = succeeded ? this.steps[nextIndex(i)] : null;
+          if (skipped) {
+            this._setStepStatus(skipped, 'skipped', { reason: `skipped by step '${step.id}'` });
+            yield `Skipping step ${skipped.name}\n`;
           }
+          i = nextIndex(skipped ? nextIndex(i) : i);
           break;
+        }
           
         default:
-          yield `Unknown step type: ${step.type}\n`;
-      }
-      
-      stepStats.successes++;
-      
-      // Apply middleware
-      for (const middleware of this.middleware) {
-        if (middleware.afterStep) {
-          await middleware.afterStep(step, shared, null);
-        }
-      }
-      
-    } catch (error) {
-      stepStats.failures++;
-      
-      // Apply middleware
-      for (const middleware of this.middleware) {
-        if (middleware.afterStep) {
-          await middleware.afterStep(step, shared, error);
-        }
+          i = nextIndex(i);
       }
-      
-      throw error;
-    } finally {
-      stepStats.totalTime += Date.now() - stepStartTime;
-      this.stats.stepStats.set(step.id, stepStats);
     }
   }
 
-  async _executeStep(step, shared) {
-    let result = '';
-    for await (const chunk of this._executeStepStream(step, shared)) {
-      result += chunk;
+  /**
+   * Apply a failed step's onFailure route; returns the route to continue with
+   */
+  async *_routeFailure(step, error, shared, signal, depth = 0) {
+    // Cancellation and the run timeout always end the run
+    if (error instanceof AbortError || signal?.aborted) {
+      this._setStepStatus(step, 'failed', { error });
+      throw error;
+    }
+    
+    const route = FlowStep.parseRoute(step.onFailure);
+    switch (route.action) {
+      case 'stop':
+        this._setStepStatus(step, 'failed', { error });
+        if (this.options.stopOnError) throw error;
+        return { action: 'continue' };
+        
+      case 'skip':
+        this._setStepStatus(step, 'skipped', { error, reason: 'failed, skipped by onFailure' });
+        return { action: 'continue' };
+        
+      case 'fallback': {
+        this._setStepStatus(step, 'failed', { error });
+        const fallback = this._getStep(route.target);
+        if (depth >= this.steps.length) {
+          throw new Error(`Fallback chain from step '${step.id}' loops`);
+        }
+        
+        yield `Running fallback step ${fallback.name}\n`;
+        try {
+          this._setStepStatus(fallback, 'running');
+          const action = yield* this._executeStepStream(fallback, shared, signal);
+          this._setStepStatus(fallback, 'completed', action === null ? {} : { action });
+          return FlowStep.parseRoute(fallback.successRoute(action));
+        } catch (fallbackError) {
+          yield `Fallback step failed: ${fallbackError.message}\n`;
+          return yield* this._routeFailure(fallback, fallbackError, shared, signal, depth + 1);
+        }
+      }
+        
+      default:
+        // continue, goto
+        this._setStepStatus(step, 'failed', { error });
+        return route;
     }
-    return result;
   }
 
   /**
-   * Get orchestrator statistics
+   * Undo completed steps in reverse order after the run failed. A failing
+   * compensation is reported and the rest still run.
    */
-  getStats() {
-    const avgTime = this.stats.executions > 0 ? this.stats.totalTime / this.stats.executions : 0;
-    const successRate = this.stats.executions > 0 ? this.stats.successes / this.stats.executions : 0;
+  async *_compensate(error) {
+    const report = { error: error.message, compensated: [], failed: [] };
+    const entries = this.completedSteps.splice(0).reverse();
     
-    const stepStats = {};
-    for (const [stepId, stats] of this.stats.stepStats) {
-      stepStats[stepId] = {
-        ...stats,
-        averageTime: stats.calls > 0 ? stats.totalTime / stats.calls : 0,
-        successRate: stats.calls > 0 ? stats.successes / stats.calls : 0
-      };
+    yield `\nCompensating ${entries.length} completed steps...\n`;
+    for (const { step, shared } of entries) {
+      yield `Compensating step ${step.name}\n`;
+      try {
+        // Compensations run even when the run was cancelled or timed out
+        if (step.compensate instanceof FlowStep) {
+          yield* this._runStepType(step.compensate, shared, null);
+        } else {
+          await step.compensate(shared, { step, error });
+        }
+        report.compensated.push(step.id);
+      } catch (compensationError) {
+        report.failed.push({ step: step.id, error: compensationError.message });
+        yield `Compensation for step ${step.name} failed: ${compensationError.message}\n`;
+      }
     }
     
-    return {
-      ...this.stats,
-      averageTime: avgTime,
-      successRate,
-      stepStats
-    };
+    yield `Compensation finished: ${report.compensated.length} succeeded, ${report.failed.length} failed\n`;
+    this.compensationReport = report;
+    return report;
   }
 
   /**
-   * Create orchestrator from configuration
+   * Check every onSuccess/onFailure route before the run starts
    */
-  static fromConfig(config) {
-    const orchestrator = new FlowOrchestrator(config.options);
+  _validateRoutes() {
+    const dag = this.options.mode === 'dag';
     
-    // Set variables
-    if (config.variables) {
-      for (const [key, value] of Object.entries(config.variables)) {
-        orchestrator.setVariable(key, value);
+    for (const step of this.steps) {
+      const fields = [['onSuccess', step.onSuccess], ['onFailure', step.onFailure]];
+      for (const [action, value] of Object.entries(step.routes || {})) {
+        fields.push([`routes.${action}`, value]);
       }
-    }
-    
-    // Add steps
-    if (config.steps) {
-      for (const stepConfig of config.steps) {
-        // This would need to be implemented based on specific step types
-        // For now, we'll skip the detailed implementation
+      for (const [field, value] of fields) {
+        const route = FlowStep.parseRoute(value);
+        const success = field !== 'onFailure';
+        if (route.target && !this._getStep(route.target)) {
+          throw new Error(`Step '${step.id}' ${field} targets unknown step '${route.target}'`);
+        }
+        if (success && route.action === 'fallback') {
+          throw new Error(`Step '${step.id}': fallback routes are only valid for onFailure`);
+        }
+        if (dag && (route.target || (success && route.action === 'skip'))) {
+          throw new Error(`Step '${step.id}': ${field} '${value}' is not supported in dag mode`);
+        }
       }
     }
-    
-    return orchestrator;
   }
 
   /**
-   * Load orchestrator from file
+   * Run steps as a dependency graph: a step starts once everything in its
+   * dependsOn has completed, independent steps run concurrently
    */
-  static async fromFile(filePath) {
-    const fs = await import('fs/promises');
-    const path = await import('path');
+  async *_executeDagStream(shared, signal) {
+    this._topologicalOrder(); // validates ids and rejects cycles
+    this._validateRoutes();
+    const input = this._allSteps(this.steps).find(step => step.node instanceof HumanInputNode);
+    if (input) {
+      throw new Error(`Input steps are not supported in dag mode (step '${input.id}')`);
+    }
     
-    const content = await fs.readFile(filePath, 'utf-8');
-    const ext = path.extname(filePath).toLowerCase();
+    const limit = this.options.maxConcurrency || Infinity;
+    const running = new Map(); // step id -> pending next() of its stream
+    const streams = new Map();
+    let haltError = null;
+    let stopped = false; // a step's onSuccess was 'stop'
     
-    let config;
-    if (ext === '.json') {
-      config = JSON.parse(content);
-    } else if (ext === '.yaml' || ext === '.yml') {
-      const yaml = await import('yaml');
-      config = yaml.parse(content);
-    } else {
-      throw new Error('Unsupported orchestrator config format. Use JSON or YAML.');
-    }
+    const status = (id) => this.stepStatus.get(id).status;
+    const pull = (id) => streams.get(id).next().then(
+      (result) => ({ id, result }),
+      (error) => ({ id, error })
+    );
+    // A failed dependency blocks its dependents unless it allows 'continue'
+    const blocker = (step) => step.dependsOn.find((dep) => {
+      const depStatus = status(dep);
+      if (depStatus === 'skipped') return true;
+      return depStatus === 'failed' && this._getStep(dep).onFailure !== 'continue';
+    });
+    const isReady = (step) => step.dependsOn.every(dep => (
+      status(dep) === 'completed' || (status(dep) === 'failed' && this._getStep(dep).onFailure === 'continue')
+    ));
     
-    return FlowOrchestrator.fromConfig(config);
-  }
-}
-
-/**
- * Middleware for flow orchestration
+    try {
+      for (;;) {
+        // Skip everything downstream of a failure, transitively
+        let changed = true;
+        while (changed) {
+          changed = false;
+          for (const step of this.steps) {
+            if (status(step.id) !== 'pending') continue;
+            const dep = blocker(step);
+            if (dep) {
+              this._setStepStatus(step, 'skipped', { reason: `dependency '${dep}' did not complete` });
+              yield `Skipping step ${step.name}: dependency '${dep}' did not complete\n`;
+              changed = true;
+            }
+          }
+        }
+        
+        if (!haltError && !stopped) {
+          AbortError.throwIfAborted(signal);
+          for (const step of this.steps) {
+            if (running.size >= limit) break;
+            if (status(step.id) !== 'pending' || !isReady(step)) continue;
+            
+            yield `\nStarting step: ${step.name}\n`;
+            this._setStepStatus(step, 'running');
+            streams.set(step.id, this._executeStepStream(step, shared, signal));
+            running.set(step.id, pull(step.id));
+          }
+        }
+        
+        if (running.size === 0) break;
+        
+        let { id, result, error } = await Promise.race(running.values());
+        if (error instanceof SuspendRun) {
+          error = new Error(`Input steps are not supported in dag mode (step '${id}')`);
+        }
+        const step = this._getStep(id);
+        
+        if (error) {
+          running.delete(id);
+          yield `Step failed: ${step.name}: ${error.message}\n`;
+          
+          // 'skip' swallows the failure but still skips the dependents
+          if (step.onFailure === 'skip') {
+            this._setStepStatus(step, 'skipped', { error, reason: 'failed, skipped by onFailure' });
+          } else {
+            this._setStepStatus(step, 'failed', { error });
+          }
+          
+          const stops = error instanceof AbortError || signal?.aborted
+            || (this.options.stopOnError && step.onFailure === 'stop');
+          if (stops && !haltError) haltError = error;
+        } else if (result.done) {
+          running.delete(id);
+          const action = result.value ?? null;
+          this._setStepStatus(step, 'completed', action === null ? {} : { action });
+          yield `Step completed: ${step.name}\n`;
+          if (step.successRoute(action) === 'stop') {
+            stopped = true;
+            yield `Stopping after step ${step.name}\n`;
+          }
+        } else {
+          running.set(id, pull(id));
+          yield result.value;
+        }
+      }
+      
+      if (haltError) throw haltError;
+    } finally {
+      // Consumer stopped early or the run failed: close streams still open
+      for (const id of running.keys()) streams.get(id).return().catch(() => {});
+    }
+  }
+
+  /**
+   * Step ids in dependency order; throws on unknown dependencies or cycles
+   */
+  _topologicalOrder() {
+    const ids = new Set(this.steps.map(step => step.id));
+    const remaining = new Map();
+    
+    for (const step of this.steps) {
+      for (const dep of step.dependsOn) {
+        if (!ids.has(dep)) {
+          throw new Error(`Step '${step.id}' depends on unknown step '${dep}'`);
+        }
+      }
+      remaining.set(step.id, new Set(step.dependsOn));
+    }
+    
+    const order = [];
+    while (remaining.size > 0) {
+      const ready = [...remaining].filter(([, deps]) => deps.size === 0).map(([id]) => id);
+      if (ready.length === 0) {
+        throw new Error(`Step dependencies form a cycle: ${[...remaining.keys()].join(', ')}`);
+      }
+      for (const id of ready) {
+        remaining.delete(id);
+        order.push(id);
+        for (const deps of remaining.values()) deps.delete(id);
+      }
+    }
+    return order;
+  }
+
+  _getStep(id) {
+    return this.steps.find(step => step.id === id);
+  }
+
+  _setStepStatus(step, status, details = {}) {
+    this.stepStatus.set(step.id, { status, ...details });
+  }
+
+  // Steps that never started are reported as skipped
+  _finishStepStatus() {
+    for (const status of this.stepStatus.values()) {
+      if (status.status === 'pending') Object.assign(status, { status: 'skipped', reason: 'run stopped' });
+    }
+    const lines = this.steps.map(step => `  ${step.name}: ${this.stepStatus.get(step.id)?.status}`);
+    return `\nStep status:\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Status of every step in the last run: pending, running, completed, failed or skipped
+   */
+  getStepStatus() {
+    const result = {};
+    for (const [id, { status, error, reason, action }] of this.stepStatus) {
+      result[id] = { status };
+      if (error) result[id].error = error.message ?? error;
+      if (reason) result[id].reason = reason;
+      if (action) result[id].action = action;
+    }
+    return result;
+  }
+
+  /**
+   * Run a step with its retries. Returns the sub-flow's action for flow
+   * steps, null otherwise; onResult receives the successful attempt's result
+   * (a node's exec result, a sub-flow's result).
+   */
+  async *_executeStepStream(step, shared, signal = this.signal, parentSpan = this.traceSpan, onResult = null) {
+    const stepStartTime = Date.now();
+    const stepStats = this.stats.stepStats.get(step.id)
+      || { calls: 0, successes: 0, failures: 0, retries: 0, totalTime: 0 };
+    stepStats.calls++;
+    this.stats.stepStats.set(step.id, stepStats);
+    const span = parentSpan?.startChild(`step ${step.name}`, {
+      attributes: { 'skingflow.step.id': step.id, 'skingflow.step.type': step.type }
+    }) ?? null;
+    
+    try {
+      for (let attempt = 1; ; attempt++) {
+        let output = '';
+        let error = null;
+        let action = null;
+        let result;
+        
+        try {
+          AbortError.throwIfAborted(signal);
+          this.runRecorder?.record('step_started', { step: step.id, name: step.name, attempt });
+          
+          // Apply middleware
+          for (const middleware of this.middleware) {
+            if (middleware.beforeStep) {
+              await middleware.beforeStep(step, shared);
+            }
+          }
+          const scope = this._createScope(step, shared);
+          
+          // Node steps time out per attempt (so the node's retry policy applies);
+          // every other step type gets one deadline for the whole step
+          const stepTimeout = step.type === 'node' ? 0 : step.timeout;
+          const deadline = TimeoutError.deadline(stepTimeout, { step: step.name }, signal);
+          
+          try {
+            const stepShared = scope ? scope.proxy : shared;
+            const stream = this._runStepType(step, stepShared, deadline.signal, span);
+            result = yield* forwardStream(stream, (text) => { output += text; });
+            if (step.type === 'flow') {
+              action = this._flowAction(step, stepShared, result);
+            }
+            if (scope) {
+              this._applyOutputs(step, shared, scope, result === undefined ? output : result);
+            }
+          } finally {
+            deadline.clear();
+          }
+        } catch (stepError) {
+          error = stepError;
+        }
+        
+        // Waiting for input is neither a failure nor retried
+        if (error instanceof SuspendRun) {
+          span?.setAttribute('skingflow.status', 'awaiting_input').end();
+          throw error;
+        }
+        
+        // Apply middleware; any of them may ask for another attempt
+        const requests = [];
+        for (const middleware of this.middleware) {
+          if (middleware.afterStep) {
+            requests.push(await middleware.afterStep(step, shared, error, { attempt }));
+          }
+        }
+        
+        if (!error) {
+          stepStats.successes++;
+          this.runRecorder?.record('step_finished', { step: step.id, status: 'completed' });
+          span?.setAttributes({ 'skingflow.step.attempts': attempt, 'skingflow.action': action }).end();
+          if (step.compensate) {
+            this.completedSteps.push({ step, shared });
+          }
+          onResult?.(result);
+          return action;
+        }
+        
+        const delay = this._stepRetryDelay(step, error, attempt, requests, signal);
+        if (delay === null) {
+          stepStats.failures++;
+          this.runRecorder?.record('step_finished', { step: step.id, status: 'failed', error: error.message });
+          span?.setAttribute('skingflow.step.attempts', attempt).end(error);
+          throw error;
+        }
+        
+        // Output of the failed attempt was already streamed; tell consumers to drop it
+        stepStats.retries++;
+        this.runRecorder?.record('retry', { step: step.id, attempt, delay, error: error.message }, false);
+        span?.addEvent('retry', { attempt, delay, 'exception.message': error.message });
+        yield { type: 'step_retry', step: step.id, attempt, delay, error: error.message, discard: output };
+        yield `Retrying step ${step.name} in ${delay}ms (attempt ${attempt + 1})\n`;
+        await step.retryPolicy.wait(delay, signal);
+      }
+    } finally {
+      stepStats.totalTime += Date.now() - stepStartTime;
+      span?.end(); // no-op unless the run was closed early
+    }
+  }
+
+  /**
+   * Delay before the next attempt of a failed step, or null to give up.
+   * A retry requested by middleware wins over the step's own retries.
+   */
+  _stepRetryDelay(step, error, attempt, requests, signal) {
+    if (error instanceof AbortError || signal?.aborted) return null;
+    
+    const requested = requests.find(request => request?.retry);
+    if (requested) return requested.delay ?? 0;
+    
+    if (attempt > step.retries || !step.retryPolicy.shouldRetry(error)) return null;
+    return step.retryPolicy.getDelay(step.retryDelay, attempt - 1);
+  }
+
+  /**
+   * Steps with inputs or outputs run in their own scope: inputs are only
+   * visible to the step, and only its outputs (or, without outputs, its
+   * writes) reach shared once it succeeds
+   */
+  _createScope(step, shared) {
+    if (!step.inputs && !step.outputs && !step.isolate) return null;
+    
+    const entries = Array.isArray(step.inputs)
+      ? step.inputs.map(path => [path.split('.').pop(), path])
+      : Object.entries(step.inputs || {});
+    const values = entries.map(([key, value]) => [
+      key,
+      typeof value === 'string' ? evaluateExpression(value, shared) : value
+    ]);
+    return new SharedScope(step.isolate ? {} : shared, Object.fromEntries(values));
+  }
+
+  // `result` is the node's exec result, or the step's text output
+  _applyOutputs(step, shared, scope, result) {
+    if (!step.outputs) {
+      // An isolated sub-flow only writes back through its outputs
+      if (!step.isolate) scope.commit();
+    } else if (typeof step.outputs === 'string') {
+      writePath(shared, step.outputs, result);
+    } else {
+      const context = new SharedScope(scope.proxy, { result }).proxy;
+      for (const [path, source] of Object.entries(step.outputs)) {
+        writePath(shared, path, evaluateExpression(source, context));
+      }
+    }
+  }
+
+  async *_runStepType(step, shared, signal, span = this.traceSpan) {
+    switch (step.type) {
+      case 'node':
+        if (step.node) {
+          return yield* this._runNodeStep(step, shared, signal, span);
+        }
+        break;
+        
+      case 'condition':
+        const conditionResult = await step.condition.evaluate(shared);
+        yield `Condition result: ${conditionResult}\n`;
+        
+        const nextStep = step.condition.getNextStep(conditionResult);
+        if (nextStep) {
+          yield* this._executeStepStream(nextStep, shared, signal, span);
+        }
+        break;
+        
+      case 'parallel':
+        if (step.node instanceof ParallelGroup) {
+          const results = yield* step.node.execute(this, shared, signal, span);
+          yield `Parallel execution completed: ${results.results.length} successes, ${results.errors.length} failures\n`;
+        }
+        break;
+        
+      case 'loop':
+        if (step.node instanceof FlowLoop) {
+          yield* step.node.execute(this, shared, signal, span);
+        }
+        break;
+        
+      case 'map':
+        if (step.node instanceof FlowMap) {
+          const { results, errors } = yield* step.node.execute(this, shared, signal, span);
+          yield `Map completed: ${results.length - errors.length} succeeded, ${errors.length} failed\n`;
+        }
+        break;
+        
+      case 'flow':
+        if (step.node instanceof AsyncFlow) {
+          return yield* this._runFlowStep(step, shared, signal, span);
+        }
+        break;
+        
+      default:
+        yield `Unknown step type: ${step.type}\n`;
+    }
+  }
+
+  async *_runNodeStep(step, shared, signal, span = this.traceSpan) {
+    // Run a copy so the step's signal and timeout don't leak into the node
+    const node = Object.assign(Object.create(Object.getPrototypeOf(step.node)), step.node, {
+      signal,
+      timeout: step.node.timeout || step.timeout,
+      stepName: step.name,
+      runRecorder: this.runRecorder
+    });
+    node.traceSpan = span?.startChild(`node ${node.name || node.constructor.name}`, {
+      attributes: { 'skingflow.node': node.name || node.constructor.name }
+    }) ?? null;
+    
+    try {
+      if (typeof node._execStream === 'function') {
+        return yield* node._execStream(shared);
+      }
+      return yield* node.execAsyncStream(shared);
+    } catch (error) {
+      node.traceSpan?.end(error instanceof SuspendRun ? null : error);
+      throw error;
+    } finally {
+      node.traceSpan?.end();
+    }
+  }
+
+  async *_runFlowStep(step, shared, signal, span = this.traceSpan) {
+    // Run a copy so concurrent runs of the same sub-flow don't share a signal;
+    // checkpoints and resumes belong to the parent run
+    const flow = Object.assign(Object.create(Object.getPrototypeOf(step.node)), step.node, {
+      signal,
+      traceSpan: span,
+      runRecorder: this.runRecorder,
+      runId: null
+    });
+    
+    const result = yield* untagStream(flow._runStream(shared));
+    yield `Sub-flow ${step.name} finished${typeof result === 'string' && result.length <= 100 ? ` with action '${result}'` : ''}\n`;
+    return result;
+  }
+
+  // A flow step's action: its `action` expression with the child's shared and
+  // `result` in scope, or the sub-flow's result when that is a string
+  _flowAction(step, shared, result) {
+    const action = step.action
+      ? evaluateExpression(step.action, new SharedScope(shared, { result }).proxy)
+      : result;
+    return typeof action === 'string' ? action : null;
+  }
+
+  // Runs a step without streaming it. Returns the step's result, or its
+  // streamed text for steps without one (map, loop, parallel, ...).
+  async _executeStep(step, shared, signal = this.signal, parentSpan = this.traceSpan) {
+    let text = '';
+    let result;
+    const stream = this._executeStepStream(step, shared, signal, parentSpan, (value) => { result = value; });
+    for await (const chunk of stream) {
+      if (typeof chunk === 'string') {
+        text += chunk;
+      } else if (chunk?.type === 'step_retry' && text.endsWith(chunk.discard)) {
+        text = text.slice(0, text.length - chunk.discard.length);
+      }
+    }
+    return result === undefined ? text : result;
+  }
+
+  _startRun(signal, runId) {
+    super._startRun(signal, runId);
+    // Every top-level run gets an id so an input step can suspend it
+    this.runId = this.runId || runId || `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Runs work on a copy of the orchestrator; getStepStatus() and
+  // compensationReport on the orchestrator itself show the latest run
+  _forRun(signal, runId) {
+    return Object.assign(super._forRun(signal, runId), { runOwner: this });
+  }
+
+  _publishRun() {
+    if (!this.runOwner) return;
+    this.runOwner.stepStatus = this.stepStatus;
+    this.runOwner.compensationReport = this.compensationReport;
+  }
+
+  async onAwaitingInput(suspended) {
+    this.events.emit('awaiting_input', suspended);
+  }
+
+  /**
+   * Continue a run that is waiting for input (or was interrupted)
+   */
+  async resume(runId, response, options = {}) {
+    return super.resume(runId, { ...options, response });
+  }
+
+  async *resumeStream(runId, response, options = {}) {
+    return yield* super.resumeStream(runId, { ...options, response });
+  }
+
+  /**
+   * Get orchestrator statistics
+   */
+  getStats() {
+    const avgTime = this.stats.executions > 0 ? this.stats.totalTime / this.stats.executions : 0;
+    const successRate = this.stats.executions > 0 ? this.stats.successes / this.stats.executions : 0;
+    
+    const stepStats = {};
+    for (const [stepId, stats] of this.stats.stepStats) {
+      stepStats[stepId] = {
+        ...stats,
+        averageTime: stats.calls > 0 ? stats.totalTime / stats.calls : 0,
+        successRate: stats.calls > 0 ? stats.successes / stats.calls : 0
+      };
+    }
+    
+    const subflows = {};
+    for (const step of this._flowSteps(this.steps)) {
+      if (typeof step.node.getStats === 'function') {
+        subflows[step.id] = step.node.getStats();
+      }
+    }
+    
+    return {
+      ...this.stats,
+      averageTime: avgTime,
+      successRate,
+      stepStats,
+      subflows
+    };
+  }
+
+  // Every step in `steps`, including those inside conditions, groups, loops and maps
+  _allSteps(steps) {
+    return steps.filter(Boolean).flatMap(step => {
+      const nested = [step.compensate instanceof FlowStep ? step.compensate : null];
+      if (step.condition instanceof FlowCondition) nested.push(step.condition.trueStep, step.condition.falseStep);
+      if (step.node instanceof ParallelGroup || step.node instanceof FlowLoop) nested.push(...step.node.steps);
+      if (step.node instanceof FlowMap) nested.push(step.node.step);
+      return [step, ...this._allSteps(nested)];
+    });
+  }
+
+  _flowSteps(steps) {
+    return this._allSteps(steps).filter(step => step.type === 'flow');
+  }
+
+  /**
+   * Create orchestrator from configuration
+   *
+   * Node, flow and condition names are resolved through `options.registry`.
+   * Throws WorkflowConfigError listing every invalid path.
+   */
+  static fromConfig(config, options = {}) {
+    const { registry = new NodeRegistry(), source = null, locate = null } = options;
+    const builder = new WorkflowConfigBuilder(registry, locate);
+    const orchestrator = builder.buildOrchestrator(config);
+    
+    if (builder.errors.length > 0) {
+      throw new WorkflowConfigError(builder.errors, source);
+    }
+    return orchestrator;
+  }
+
+  /**
+   * Load orchestrator from a YAML or JSON file
+   */
+  static async fromFile(filePath, options = {}) {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+    
+    const ext = path.extname(filePath).toLowerCase();
+    if (!['.json', '.yaml', '.yml'].includes(ext)) {
+      throw new Error('Unsupported orchestrator config format. Use JSON or YAML.');
+    }
+    const content = await fs.readFile(filePath, 'utf-8');
+    
+    // JSON is valid YAML, so both go through the YAML parser to keep line numbers
+    const { parseDocument, LineCounter } = await import('yaml');
+    const lineCounter = new LineCounter();
+    const document = parseDocument(content, { lineCounter });
+    const position = (offset) => {
+      const { line, col } = lineCounter.linePos(offset);
+      return { line, column: col };
+    };
+    
+    if (document.errors.length > 0) {
+      throw new WorkflowConfigError(
+        document.errors.map(error => ({ path: '', message: error.message, ...position(error.pos[0]) })),
+        filePath
+      );
+    }
+    
+    // Point at the deepest part of the path that exists in the file
+    const locate = (configPath) => {
+      for (let i = configPath.length; i >= 0; i--) {
+        const node = i > 0 ? document.getIn(configPath.slice(0, i), true) : document.contents;
+        if (node?.range) return position(node.range[0]);
+      }
+      return null;
+    };
+    
+    return FlowOrchestrator.fromConfig(document.toJS(), { ...options, source: filePath, locate });
+  }
+}
+
+/**
+ * Middleware for flow orchestration
  */
 export class OrchestrationMiddleware {
   constructor(options = {}) {
@@ -504,7 +1547,10 @@ export class OrchestrationMiddleware {
     // Override in subclasses
   }
 
-  async afterStep(step, shared, error = null) {
+  /**
+   * Runs after every attempt. Return { retry: true, delay } to run the step again.
+   */
+  async afterStep(step, shared, error = null, context = {}) {
     // Override in subclasses
   }
 }
@@ -560,37 +1606,519 @@ export class TimingMiddleware extends OrchestrationMiddleware {
 }
 
 /**
- * Retry Middleware
+ * Retry Middleware - asks the orchestrator to run failed steps again
  */
 export class RetryMiddleware extends OrchestrationMiddleware {
   constructor(options = {}) {
-    super();
+    super(options);
     this.maxRetries = options.maxRetries || 3;
-    this.retryDelay = options.retryDelay || 1000;
+    this.retryDelay = options.retryDelay ?? 1000;
     this.retryCondition = options.retryCondition || (() => true);
   }
 
-  async beforeStep(step, shared) {
-    shared._retryCount = shared._retryCount || {};
-    shared._retryCount[step.id] = 0;
+  async afterStep(step, shared, error = null, { attempt = 1 } = {}) {
+    if (error && attempt <= this.maxRetries && this.retryCondition(error)) {
+      return { retry: true, delay: this.retryDelay };
+    }
   }
+}
 
-  async afterStep(step, shared, error = null) {
-    if (error && this.retryCondition(error)) {
-      const retryCount = shared._retryCount[step.id] || 0;
-      
-      if (retryCount < this.maxRetries) {
-        shared._retryCount[step.id] = retryCount + 1;
+/**
+ * Workflow Config Error - carries the path of every problem found
+ */
+export class WorkflowConfigError extends Error {
+  constructor(errors, source = null) {
+    const lines = errors.map(error => {
+      const location = error.line ? `${source || 'config'}:${error.line}:${error.column} ` : '';
+      return `  ${location}${error.path || '(root)'}: ${error.message}`;
+    });
+    super(`Invalid workflow config:\n${lines.join('\n')}`);
+    this.name = 'WorkflowConfigError';
+    this.errors = errors; // [{ path, message, line?, column? }]
+    this.source = source;
+  }
+}
+
+/**
+ * Node Registry - resolves names used in workflow configs
+ */
+export class NodeRegistry {
+  constructor() {
+    this.nodes = new Map();
+    this.conditions = new Map();
+    this.reducers = new Map();
+    this.middleware = new Map([
+      ['logging', (options) => new LoggingMiddleware(options.logger)],
+      ['timing', () => new TimingMiddleware()],
+      ['retry', (options) => new RetryMiddleware(options)]
+    ]);
+  }
+
+  /**
+   * Register a node (or AsyncFlow) instance, or a factory `(params) => node`
+   */
+  register(name, nodeOrFactory) {
+    this.nodes.set(name, nodeOrFactory);
+    return this;
+  }
+
+  registerCondition(name, predicate) {
+    this.conditions.set(name, predicate);
+    return this;
+  }
+
+  registerReducer(name, reducer) {
+    this.reducers.set(name, reducer);
+    return this;
+  }
+
+  registerMiddleware(name, factory) {
+    this.middleware.set(name, factory);
+    return this;
+  }
+
+  has(name) {
+    return this.nodes.has(name);
+  }
+
+  create(name, params = {}) {
+    const entry = this.nodes.get(name);
+    if (!entry) {
+      throw new Error(`Unknown node '${name}'`);
+    }
+    const isInstance = entry instanceof AsyncNode || entry instanceof AsyncFlow;
+    return isInstance ? entry : entry(params);
+  }
+}
+
+const COMMON_STEP_KEYS = [
+  'id', 'name', 'type', 'dependsOn', 'retries', 'retryDelay', 'backoff', 'timeout', 'onSuccess', 'onFailure',
+  'compensate', 'inputs', 'outputs', 'metadata'
+];
+
+const STEP_KEYS = {
+  node: ['node', 'params'],
+  condition: ['condition', 'then', 'else'],
+  parallel: ['steps', 'waitForAll', 'failFast', 'maxConcurrency', 'onConflict'],
+  loop: ['steps', 'while', 'breakOn', 'maxIterations'],
+  flow: ['flow', 'params', 'steps', 'options', 'variables', 'isolate', 'action', 'routes'],
+  map: ['items', 'step', 'concurrency', 'reducer', 'itemKey', 'indexKey', 'resultKey', 'outputKey', 'failFast', 'clone'],
+  input: ['key', 'prompt', 'schema', 'expiresIn', 'defaultResponse'],
+  approval: ['key', 'prompt', 'schema', 'expiresIn', 'defaultResponse']
+};
+
+/**
+ * Builds a FlowOrchestrator from a plain config object, collecting every
+ * problem with its path instead of stopping at the first one
+ */
+class WorkflowConfigBuilder {
+  constructor(registry, locate = null) {
+    this.registry = registry;
+    this.locate = locate; // (pathArray) => { line, column } | null
+    this.errors = [];
+    this.stepIds = new Set();
+  }
+
+  error(path, message) {
+    const entry = { path: formatConfigPath(path), message };
+    const position = this.locate?.(path);
+    if (position) Object.assign(entry, position);
+    this.errors.push(entry);
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  checkKeys(value, allowed, path) {
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) {
+        this.error([...path, key], `Unknown property '${key}'`);
+      }
+    }
+  }
+
+  checkType(value, path, type) {
+    if (value === undefined) return true;
+    const ok = type === 'integer'
+      ? Number.isInteger(value) && value >= 0
+      : type === 'positive'
+        ? typeof value === 'number' && value > 0
+        : type === 'object'
+          ? this.isObject(value)
+          : typeof value === type;
+    if (!ok) {
+      const expected = { integer: 'a non-negative integer', positive: 'a positive number', object: 'an object' }[type] || `a ${type}`;
+      this.error(path, `Expected ${expected}`);
+    }
+    return ok;
+  }
+
+  buildOrchestrator(config, path = []) {
+    if (!this.isObject(config)) {
+      this.error(path, 'Expected an object');
+      return null;
+    }
+    this.checkKeys(config, ['name', 'description', 'options', 'variables', 'middleware', 'steps'], path);
+    this.checkType(config.name, [...path, 'name'], 'string');
+    this.checkType(config.options, [...path, 'options'], 'object');
+    this.checkType(config.variables, [...path, 'variables'], 'object');
+
+    const orchestrator = new FlowOrchestrator(this.isObject(config.options) ? config.options : {});
+    if (typeof config.name === 'string') orchestrator.name = config.name;
+
+    if (this.isObject(config.variables)) {
+      for (const [key, value] of Object.entries(config.variables)) {
+        if (isTemplate(value)) {
+          this.checkTemplate(value, [...path, 'variables', key]);
+        }
+        orchestrator.setVariable(key, value);
+      }
+    }
+
+    if (config.middleware !== undefined) {
+      if (!Array.isArray(config.middleware)) {
+        this.error([...path, 'middleware'], 'Expected a list');
+      } else {
+        config.middleware.forEach((entry, i) => {
+          const middleware = this.buildMiddleware(entry, [...path, 'middleware', i]);
+          if (middleware) orchestrator.use(middleware);
+        });
+      }
+    }
+
+    for (const step of this.buildSteps(config.steps, [...path, 'steps'])) {
+      orchestrator.addStep(step);
+    }
+    this.checkDependencies(config.steps, orchestrator.steps, [...path, 'steps']);
+    return orchestrator;
+  }
+
+  // dependsOn and goto/fallback routes may only name sibling steps of the same orchestrator
+  checkDependencies(stepConfigs, steps, path) {
+    if (!Array.isArray(stepConfigs)) return;
+    const ids = new Set(steps.map(step => step.id));
+    stepConfigs.forEach((config, i) => {
+      if (!this.isObject(config)) return;
+      const routes = [[['onSuccess'], config.onSuccess], [['onFailure'], config.onFailure]];
+      if (this.isObject(config.routes)) {
+        routes.push(...Object.entries(config.routes).map(([action, route]) => [['routes', action], route]));
+      }
+      for (const [field, route] of routes) {
+        const target = typeof route === 'string' ? route.split(':').slice(1).join(':') : '';
+        if (target && !ids.has(target)) {
+          this.error([...path, i, ...field], `Unknown step id '${target}'`);
+        }
+      }
+      const dependsOn = config.dependsOn !== undefined ? [].concat(config.dependsOn) : [];
+      dependsOn.forEach((dep, j) => {
+        if (typeof dep === 'string' && !ids.has(dep)) {
+          const depPath = Array.isArray(config.dependsOn) ? [...path, i, 'dependsOn', j] : [...path, i, 'dependsOn'];
+          this.error(depPath, `Unknown step id '${dep}'`);
+        }
+      });
+    });
+  }
+
+  buildMiddleware(entry, path) {
+    const { type, ...options } = typeof entry === 'string' ? { type: entry } : (entry || {});
+    if (typeof type !== 'string') {
+      this.error(path, 'Middleware needs a type');
+      return null;
+    }
+    const factory = this.registry.middleware.get(type);
+    if (!factory) {
+      this.error([...path, ...(typeof entry === 'string' ? [] : ['type'])], `Unknown middleware '${type}'`);
+      return null;
+    }
+    return factory(options);
+  }
+
+  buildSteps(steps, path) {
+    if (steps === undefined) return [];
+    if (!Array.isArray(steps)) {
+      this.error(path, 'Expected a list of steps');
+      return [];
+    }
+    return steps.map((step, i) => this.buildStep(step, [...path, i])).filter(Boolean);
+  }
+
+  buildStep(config, path) {
+    if (!this.isObject(config)) {
+      this.error(path, 'Expected a step object');
+      return null;
+    }
+
+    const type = config.type || 'node';
+    if (!STEP_KEYS[type]) {
+      this.error([...path, 'type'], `Unknown step type '${type}'`);
+      return null;
+    }
+    this.checkKeys(config, [...COMMON_STEP_KEYS, ...STEP_KEYS[type]], path);
+
+    if (this.checkType(config.id, [...path, 'id'], 'string') && config.id !== undefined) {
+      if (this.stepIds.has(config.id)) {
+        this.error([...path, 'id'], `Duplicate step id '${config.id}'`);
+      }
+      this.stepIds.add(config.id);
+    }
+    this.checkType(config.name, [...path, 'name'], 'string');
+    this.checkType(config.retries, [...path, 'retries'], 'integer');
+    this.checkType(config.retryDelay, [...path, 'retryDelay'], 'integer');
+    if (config.backoff !== undefined && !['fixed', 'exponential'].includes(config.backoff)) {
+      this.error([...path, 'backoff'], "Expected 'fixed' or 'exponential'");
+    }
+    this.checkType(config.timeout, [...path, 'timeout'], 'positive');
+    for (const field of ['onSuccess', 'onFailure']) {
+      if (config[field] !== undefined) this.checkRoute(config[field], [...path, field], field === 'onSuccess');
+    }
+    this.checkType(config.metadata, [...path, 'metadata'], 'object');
+    if (Array.isArray(config.inputs)) {
+      config.inputs.forEach((input, i) => {
+        if (typeof input !== 'string') this.error([...path, 'inputs', i], 'Expected a dot path');
+      });
+    } else if (this.checkType(config.inputs, [...path, 'inputs'], 'object') && config.inputs) {
+      for (const [key, value] of Object.entries(config.inputs)) {
+        if (typeof value === 'string') this.checkExpression(value, [...path, 'inputs', key]);
+      }
+    }
+    if (this.isObject(config.outputs)) {
+      for (const [key, value] of Object.entries(config.outputs)) {
+        if (typeof value !== 'string') {
+          this.error([...path, 'outputs', key], 'Expected an expression');
+        } else {
+          this.checkExpression(value, [...path, 'outputs', key]);
+        }
+      }
+    } else if (config.outputs !== undefined && typeof config.outputs !== 'string') {
+      this.error([...path, 'outputs'], 'Expected a dot path or an object of expressions');
+    }
+
+    const dependsOn = config.dependsOn === undefined ? [] : [].concat(config.dependsOn);
+    if (dependsOn.some(dep => typeof dep !== 'string')) {
+      this.error([...path, 'dependsOn'], 'Expected a step id or a list of step ids');
+    }
+    
+    const { id, name, retries, retryDelay, timeout, onSuccess, onFailure, inputs, outputs, metadata } = config;
+    const options = {
+      id, name, type, dependsOn, retries, retryDelay, timeout, onSuccess, onFailure, inputs, outputs, metadata
+    };
+    if (['fixed', 'exponential'].includes(config.backoff)) {
+      options.retryPolicy = new RetryPolicy({ backoff: config.backoff });
+    }
+    if (config.compensate !== undefined) {
+      options.compensate = this.buildStep(config.compensate, [...path, 'compensate']);
+    }
+
+    switch (type) {
+      case 'node': {
+        const node = this.resolveNode(config.node, config.params, path, 'node');
+        return node && new FlowStep({ ...options, node, name: name || id || config.node });
+      }
+
+      case 'condition': {
+        const predicate = this.resolvePredicate(config.condition, [...path, 'condition'], true);
+        const trueStep = config.then === undefined ? null : this.buildStep(config.then, [...path, 'then']);
+        const falseStep = config.else === undefined ? null : this.buildStep(config.else, [...path, 'else']);
+        const condition = new FlowCondition(predicate, trueStep, falseStep);
+        return new FlowStep({ ...options, condition, name: name || 'conditional-step' });
+      }
+
+      case 'parallel': {
+        this.requireSteps(config, path);
+        this.checkType(config.waitForAll, [...path, 'waitForAll'], 'boolean');
+        this.checkType(config.failFast, [...path, 'failFast'], 'boolean');
+        this.checkType(config.maxConcurrency, [...path, 'maxConcurrency'], 'positive');
+        if (config.onConflict !== undefined && !['last', 'first', 'merge', 'error'].includes(config.onConflict)) {
+          this.error([...path, 'onConflict'], "Expected 'last', 'first', 'merge' or 'error'");
+        }
+        const group = new ParallelGroup(this.buildSteps(config.steps, [...path, 'steps']), {
+          waitForAll: config.waitForAll,
+          failFast: config.failFast,
+          maxConcurrency: config.maxConcurrency,
+          onConflict: config.onConflict
+        });
+        return new FlowStep({ ...options, node: group, name: name || 'parallel-group' });
+      }
+
+      case 'loop': {
+        this.requireSteps(config, path);
+        this.checkType(config.maxIterations, [...path, 'maxIterations'], 'positive');
+        const condition = this.resolvePredicate(config.while, [...path, 'while'], true);
+        const breakOn = config.breakOn === undefined
+          ? null
+          : this.resolvePredicate(config.breakOn, [...path, 'breakOn'], false);
+        const loop = new FlowLoop(this.buildSteps(config.steps, [...path, 'steps']), condition, {
+          maxIterations: config.maxIterations,
+          breakOn
+        });
+        return new FlowStep({ ...options, node: loop, name: name || 'loop' });
+      }
+
+      case 'map': {
+        if (typeof config.items !== 'string') {
+          this.error([...path, 'items'], config.items === undefined ? 'Missing required property' : 'Expected a dot path into shared');
+        }
+        if (config.step === undefined) {
+          this.error([...path, 'step'], 'Missing required property');
+        }
+        this.checkType(config.concurrency, [...path, 'concurrency'], 'positive');
+        for (const key of ['itemKey', 'indexKey', 'resultKey', 'outputKey']) {
+          this.checkType(config[key], [...path, key], 'string');
+        }
+        this.checkType(config.failFast, [...path, 'failFast'], 'boolean');
+        this.checkType(config.clone, [...path, 'clone'], 'boolean');
         
-        if (this.retryDelay > 0) {
-          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+        let reducer;
+        if (config.reducer !== undefined) {
+          reducer = this.registry.reducers.get(config.reducer);
+          if (!reducer) this.error([...path, 'reducer'], `Unknown reducer '${config.reducer}'`);
         }
         
-        // This would trigger a retry - implementation depends on orchestrator design
-        throw new Error(`Retry needed for step ${step.name} (attempt ${retryCount + 1})`);
+        const itemStep = config.step === undefined ? null : this.buildStep(config.step, [...path, 'step']);
+        const map = new FlowMap(config.items, itemStep, {
+          concurrency: config.concurrency,
+          reducer,
+          itemKey: config.itemKey,
+          indexKey: config.indexKey,
+          resultKey: config.resultKey,
+          outputKey: config.outputKey,
+          failFast: config.failFast,
+          clone: config.clone
+        });
+        return new FlowStep({ ...options, node: map, name: name || 'map' });
+      }
+        
+      case 'input':
+      case 'approval': {
+        this.checkType(config.key, [...path, 'key'], 'string');
+        this.checkType(config.prompt, [...path, 'prompt'], 'string');
+        this.checkType(config.schema, [...path, 'schema'], 'object');
+        this.checkType(config.expiresIn, [...path, 'expiresIn'], 'positive');
+        const node = new HumanInputNode({
+          kind: type,
+          key: config.key,
+          prompt: config.prompt,
+          schema: config.schema,
+          expiresIn: config.expiresIn,
+          defaultResponse: config.defaultResponse,
+          failOnReject: type === 'approval'
+        });
+        return new FlowStep({ ...options, type: 'node', node, name: name || node.name });
+      }
+        
+      case 'flow': {
+        if ((config.flow === undefined) === (config.steps === undefined)) {
+          this.error(path, "A flow step needs either 'flow' (a registered flow) or inline 'steps'");
+          return null;
+        }
+        const flow = config.flow !== undefined
+          ? this.resolveNode(config.flow, config.params, path, 'flow')
+          : this.buildOrchestrator(
+            { name: name || id, options: config.options, variables: config.variables, steps: config.steps },
+            path
+          );
+        if (flow && !(flow instanceof AsyncFlow)) {
+          this.error([...path, 'flow'], `'${config.flow}' is not a flow`);
+          return null;
+        }
+        this.checkType(config.isolate, [...path, 'isolate'], 'boolean');
+        if (this.checkType(config.action, [...path, 'action'], 'string') && config.action !== undefined) {
+          this.checkExpression(config.action, [...path, 'action']);
+        }
+        if (this.checkType(config.routes, [...path, 'routes'], 'object') && config.routes) {
+          for (const [action, route] of Object.entries(config.routes)) {
+            this.checkRoute(route, [...path, 'routes', action], true);
+          }
+        }
+        return flow && new FlowStep({
+          ...options,
+          node: flow,
+          name: name || id || config.flow || 'sub-flow',
+          isolate: config.isolate,
+          action: config.action,
+          routes: config.routes
+        });
+      }
+    }
+    return null;
+  }
+
+  checkRoute(route, path, success) {
+    if (!this.checkType(route, path, 'string')) return;
+    try {
+      if (success && FlowStep.parseRoute(route).action === 'fallback') {
+        this.error(path, 'fallback routes are only valid for onFailure');
       }
+    } catch (error) {
+      this.error(path, error.message);
+    }
+  }
+
+  requireSteps(config, path) {
+    if (config.steps === undefined) {
+      this.error([...path, 'steps'], 'Missing required property');
     }
   }
+
+  resolveNode(nodeName, params, path, key) {
+    if (typeof nodeName !== 'string') {
+      this.error([...path, key], nodeName === undefined ? 'Missing required property' : 'Expected a registered name');
+      return null;
+    }
+    if (!this.registry.has(nodeName)) {
+      this.error([...path, key], `Unknown ${key} '${nodeName}'`);
+      return null;
+    }
+    if (!this.checkType(params, [...path, 'params'], 'object')) return null;
+
+    try {
+      return this.registry.create(nodeName, params || {});
+    } catch (error) {
+      this.error([...path, key], `Could not create '${nodeName}': ${error.message}`);
+      return null;
+    }
+  }
+
+  // Registered condition names win; any other string is an expression over shared
+  resolvePredicate(value, path, required) {
+    if (value === undefined) {
+      if (required) this.error(path, 'Missing required property');
+      return null;
+    }
+    if (typeof value === 'boolean') return value;
+    if (typeof value !== 'string') {
+      this.error(path, 'Expected a condition name or expression');
+      return null;
+    }
+    const predicate = this.registry.conditions.get(value);
+    if (predicate) return predicate;
+    return this.checkExpression(value, path) ? value : null;
+  }
+
+  checkExpression(source, path) {
+    try {
+      compileExpression(source);
+      return true;
+    } catch (error) {
+      this.error(path, error.message);
+      return false;
+    }
+  }
+
+  checkTemplate(template, path) {
+    try {
+      parseTemplate(template);
+    } catch (error) {
+      this.error(path, error.message);
+    }
+  }
+}
+
+function formatConfigPath(path) {
+  return path.reduce((text, key) => (
+    typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key
+  ), '');
 }
 
 // Convenience functions
@@ -604,5 +2132,7 @@ export const createStep = (nodeOrOptions, options) => {
 export const createCondition = (predicate, trueStep, falseStep) => new FlowCondition(predicate, trueStep, falseStep);
 export const createParallelGroup = (steps, options) => new ParallelGroup(steps, options);
 export const createLoop = (steps, condition, options) => new FlowLoop(steps, condition, options);
+export const createMap = (itemsSelector, step, options) => new FlowMap(itemsSelector, step, options);
+export const createNodeRegistry = () => new NodeRegistry();
 
 export default FlowOrchestrator;
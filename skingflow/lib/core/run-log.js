@@ -0,0 +1,180 @@
+/**
+ * Run Log for skingflow
+ *
+ * Sinks for the append-only event log an AsyncFlow writes for every run
+ * (see AsyncFlow.setRunLog), and a replay tool that rebuilds the shared
+ * store at any event for debugging.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+/**
+ * Abstract Run Log Sink Interface
+ *
+ * An event looks like:
+ * { runId, type, time, ...data, changes?: { set: { key: value }, unset: [key] } }
+ *
+ * Types: run_started, run_resumed, node_started, chunk, action, step_started,
+ * step_finished, retry, error, run_finished
+ */
+export class RunLogSink {
+  async append(event) {
+    throw new Error('append() must be implemented by run log sink');
+  }
+
+  async read(runId) {
+    throw new Error('read() must be implemented by run log sink');
+  }
+
+  async list() {
+    throw new Error('list() must be implemented by run log sink');
+  }
+}
+
+/**
+ * In-Memory Run Log Sink
+ */
+export class InMemoryRunLogSink extends RunLogSink {
+  constructor() {
+    super();
+    this.runs = new Map();
+  }
+
+  async append(event) {
+    if (!this.runs.has(event.runId)) this.runs.set(event.runId, []);
+    this.runs.get(event.runId).push(JSON.parse(JSON.stringify(event)));
+  }
+
+  async read(runId) {
+    return JSON.parse(JSON.stringify(this.runs.get(runId) || []));
+  }
+
+  async list() {
+    return Array.from(this.runs.keys());
+  }
+}
+
+/**
+ * JSONL Run Log Sink - every event of every run appended as one line to a file
+ */
+export class JsonlRunLogSink extends RunLogSink {
+  constructor(filePath = './runs.jsonl') {
+    super();
+    this.filePath = filePath;
+  }
+
+  async append(event) {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(event)}\n`, 'utf-8');
+  }
+
+  async _readAll() {
+    const fs = await import('fs/promises');
+
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // A crash can leave a half-written last line; skip it
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  async read(runId) {
+    return (await this._readAll()).filter(event => event.runId === runId);
+  }
+
+  async list() {
+    return Array.from(new Set((await this._readAll()).map(event => event.runId)));
+  }
+}
+
+/**
+ * Run Replay
+ *
+ * Steps through a run's events and rebuilds the shared store after each one.
+ */
+export class RunReplay {
+  constructor(events = []) {
+    this.events = events;
+  }
+
+  static async load(sink, runId) {
+    const events = await sink.read(runId);
+    if (events.length === 0) {
+      throw new Error(`No run log found for run ${runId}`);
+    }
+    return new RunReplay(events);
+  }
+
+  get length() {
+    return this.events.length;
+  }
+
+  /**
+   * Shared store as it was right after events[index] (default: the last event)
+   */
+  stateAt(index = this.events.length - 1) {
+    if (index < 0 || index >= this.events.length) {
+      throw new Error(`Event index ${index} is out of range (0-${this.events.length - 1})`);
+    }
+    let shared = {};
+    for (let i = 0; i <= index; i++) {
+      shared = this._apply(shared, this.events[i]);
+    }
+    return shared;
+  }
+
+  /**
+   * Index of the first event matching a type or predicate, starting at `from`
+   */
+  find(match, from = 0) {
+    const test = typeof match === 'function' ? match : (event) => event.type === match;
+    for (let i = from; i < this.events.length; i++) {
+      if (test(this.events[i], i)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Iterate { index, event, shared } for every event in order
+   */
+  *[Symbol.iterator]() {
+    let shared = {};
+    for (const [index, event] of this.events.entries()) {
+      shared = this._apply(shared, event);
+      yield { index, event, shared: JSON.parse(JSON.stringify(shared)) };
+    }
+  }
+
+  // A resumed run starts again from the checkpoint's shared store
+  _apply(shared, event) {
+    const next = event.type === 'run_resumed' ? {} : { ...shared };
+    if (event.changes) {
+      Object.assign(next, JSON.parse(JSON.stringify(event.changes.set || {})));
+      for (const key of event.changes.unset || []) {
+        delete next[key];
+      }
+    }
+    return next;
+  }
+}
+
+// Convenience functions
+export const createInMemoryRunLog = () => new InMemoryRunLogSink();
+export const createJsonlRunLog = (filePath) => new JsonlRunLogSink(filePath);
+export const replayRun = async (sink, runId, index) => (await RunReplay.load(sink, runId)).stateAt(index);
+
+export default RunReplay;
@@ -0,0 +1,459 @@
+/**
+ * Flow Scheduler for skingflow
+ *
+ * Runs flows on cron expressions or fixed intervals. A job never overlaps
+ * with itself, its last/next run is persisted to a checkpoint store, and
+ * time comes from an injectable clock so schedules can be tested.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+import { EventEmitter } from 'events';
+import { InMemoryCheckpointStore } from './checkpoint.js';
+
+// setTimeout can't wait longer than this; longer waits are re-armed
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Cron Expression
+ *
+ * Standard five fields (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps, month/day names and the @daily style macros.
+ * When both day fields are restricted a day matching either one runs.
+ */
+export class CronExpression {
+  constructor(expression, options = {}) {
+    this.expression = expression;
+    this.utc = options.utc || false;
+
+    const source = CRON_MACROS[expression.trim().toLowerCase()] || expression;
+    const parts = source.trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression '${expression}': expected 5 fields, got ${parts.length}`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map((part, i) => (
+      this._parseField(part, CRON_FIELDS[i])
+    ));
+    if (this.weekdays.delete(7)) this.weekdays.add(0);
+    this.anyDay = parts[2] === '*';
+    this.anyWeekday = parts[4] === '*';
+  }
+
+  _parseField(text, field) {
+    const values = new Set();
+    const value = (token) => {
+      const index = field.names?.indexOf(token.toLowerCase()) ?? -1;
+      const number = index >= 0 ? index + (field.min === 1 ? 1 : 0) : Number(token);
+      if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid cron expression '${this.expression}': bad ${field.name} '${token}'`);
+      }
+      return number;
+    };
+
+    for (const item of text.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid cron expression '${this.expression}': bad step '${stepText}'`);
+      }
+
+      let start, end;
+      if (range === '*') {
+        [start, end] = [field.min, field.max];
+      } else if (range.includes('-')) {
+        [start, end] = range.split('-').map(value);
+      } else {
+        start = value(range);
+        end = stepText === undefined ? start : field.max;
+      }
+      if (start > end) {
+        throw new Error(`Invalid cron expression '${this.expression}': bad ${field.name} range '${range}'`);
+      }
+      for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+  }
+
+  _get(date, unit) {
+    return date[this.utc ? `getUTC${unit}` : `get${unit}`]();
+  }
+
+  _set(date, unit, ...args) {
+    date[this.utc ? `setUTC${unit}` : `set${unit}`](...args);
+  }
+
+  _dayMatches(date) {
+    const day = this.days.has(this._get(date, 'Date'));
+    const weekday = this.weekdays.has(this._get(date, 'Day'));
+    if (this.anyDay || this.anyWeekday) return day && weekday;
+    return day || weekday;
+  }
+
+  /**
+   * First matching minute strictly after `after` (a Date or timestamp)
+   */
+  next(after) {
+    const date = new Date(after);
+    this._set(date, 'Seconds', 0, 0);
+    this._set(date, 'Minutes', this._get(date, 'Minutes') + 1);
+
+    // Skip whole months, days and hours that can't match; five years covers every valid expression
+    const limit = date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+      if (!this.months.has(this._get(date, 'Month') + 1)) {
+        this._set(date, 'Month', this._get(date, 'Month') + 1, 1);
+        this._set(date, 'Hours', 0, 0, 0, 0);
+      } else if (!this._dayMatches(date)) {
+        this._set(date, 'Date', this._get(date, 'Date') + 1);
+        this._set(date, 'Hours', 0, 0, 0, 0);
+      } else if (!this.hours.has(this._get(date, 'Hours'))) {
+        this._set(date, 'Hours', this._get(date, 'Hours') + 1, 0, 0, 0);
+      } else if (!this.minutes.has(this._get(date, 'Minutes'))) {
+        this._set(date, 'Minutes', this._get(date, 'Minutes') + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+    throw new Error(`Cron expression '${this.expression}' never matches`);
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+/**
+ * Clock backed by Date.now and the real timers
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * Manual Clock - time only moves when advance() is called
+ */
+export class ManualClock {
+  constructor(now = 0) {
+    this.time = now instanceof Date ? now.getTime() : now;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.time + Math.max(0, ms), fn });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Move time forward, firing due timers in order and letting the
+   * work they start settle before the next one
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    for (;;) {
+      const due = [...this.timers.entries()]
+        .filter(([, timer]) => timer.at <= target)
+        .sort(([, a], [, b]) => a.at - b.at)[0];
+      if (!due) break;
+
+      const [id, timer] = due;
+      this.timers.delete(id);
+      this.time = timer.at;
+      timer.fn();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    this.time = target;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Flow Scheduler
+ *
+ * Job state is saved under `schedule:<jobId>` in any CheckpointStore:
+ * { jobId, lastRunAt, nextRunAt, lastStatus, lastError, runCount, history }
+ */
+export class FlowScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.clock = options.clock || systemClock;
+    this.store = options.store || new InMemoryCheckpointStore();
+    this.random = options.random || Math.random; // used for jitter
+    this.historyLimit = options.historyLimit ?? 50;
+    this.jobs = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Register a flow (anything with runAsync) or an async function (shared, { signal, jobId })
+   */
+  schedule(id, flow, options = {}) {
+    if (this.jobs.has(id)) {
+      throw new Error(`Job '${id}' is already scheduled`);
+    }
+    if (!options.cron === !options.interval) {
+      throw new Error(`Job '${id}' needs exactly one of cron or interval`);
+    }
+    if (options.interval !== undefined && !(options.interval > 0)) {
+      throw new Error(`Job '${id}' interval must be a positive number of milliseconds`);
+    }
+
+    const job = {
+      id,
+      flow,
+      cron: options.cron ? new CronExpression(options.cron, { utc: options.utc }) : null,
+      interval: options.interval || null,
+      jitter: options.jitter || 0, // up to this many ms added to each run
+      shared: options.shared || {}, // object copied per run, or (job) => shared
+      runOnStart: options.runOnStart || false,
+      catchUp: options.catchUp || false, // run once on start if a run was missed while stopped
+      state: { jobId: id, lastRunAt: null, nextRunAt: null, lastStatus: null, lastError: null, runCount: 0, history: [] },
+      nominalAt: null, // next run before jitter
+      timer: null,
+      active: null, // { promise, controller } while running
+      loaded: false
+    };
+    this.jobs.set(id, job);
+
+    if (this.running) {
+      this._startJob(job).catch(error => this._reportError(error, id));
+    }
+    return this;
+  }
+
+  async unschedule(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    this._clearTimer(job);
+    this.jobs.delete(id);
+    await job.active?.promise;
+    return true;
+  }
+
+  async start() {
+    if (this.running) return this;
+    this.running = true;
+    await Promise.all([...this.jobs.values()].map(job => this._startJob(job)));
+    return this;
+  }
+
+  /**
+   * Stop arming timers; waits for running jobs, or aborts them with { abort: true }
+   */
+  async stop({ abort = false } = {}) {
+    this.running = false;
+    const active = [];
+    for (const job of this.jobs.values()) {
+      this._clearTimer(job);
+      if (job.active) {
+        if (abort) job.active.controller.abort();
+        active.push(job.active.promise);
+      }
+    }
+    await Promise.all(active);
+    return this;
+  }
+
+  /**
+   * Run a job right away, unless it is already running
+   */
+  async runNow(id) {
+    const job = this._getJob(id);
+    await this._loadState(job);
+    return this._run(job, this.clock.now());
+  }
+
+  getJob(id) {
+    const job = this._getJob(id);
+    return {
+      id: job.id,
+      cron: job.cron?.toString() || null,
+      interval: job.interval,
+      running: Boolean(job.active),
+      ...job.state,
+      history: [...job.state.history]
+    };
+  }
+
+  getHistory(id) {
+    return [...this._getJob(id).state.history];
+  }
+
+  list() {
+    return [...this.jobs.keys()].map(id => this.getJob(id));
+  }
+
+  _getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) throw new Error(`Unknown job: ${id}`);
+    return job;
+  }
+
+  async _loadState(job) {
+    if (job.loaded) return;
+    const saved = await this.store.load(`schedule:${job.id}`);
+    if (saved) job.state = { ...job.state, ...saved, jobId: job.id };
+    job.loaded = true;
+  }
+
+  async _saveState(job) {
+    await this.store.save(`schedule:${job.id}`, job.state);
+  }
+
+  async _startJob(job) {
+    await this._loadState(job);
+    const now = this.clock.now();
+    const missed = job.state.nextRunAt !== null && job.state.nextRunAt <= now;
+
+    if (job.runOnStart || (job.catchUp && missed)) {
+      this._arm(job, now, now);
+    } else {
+      this._scheduleNext(job, now);
+    }
+    await this._saveState(job);
+  }
+
+  _nextNominal(job, from) {
+    return job.cron ? job.cron.next(from).getTime() : from + job.interval;
+  }
+
+  _scheduleNext(job, from) {
+    // Runs missed while the process was busy or stopped are dropped, not replayed
+    let nominal = this._nextNominal(job, from);
+    if (nominal <= this.clock.now()) {
+      nominal = this._nextNominal(job, this.clock.now());
+    }
+    const jitter = job.jitter ? Math.floor(this.random() * job.jitter) : 0;
+    this._arm(job, nominal, nominal + jitter);
+  }
+
+  _arm(job, nominalAt, runAt) {
+    this._clearTimer(job);
+    job.nominalAt = nominalAt;
+    job.state.nextRunAt = runAt;
+
+    const wait = () => {
+      const delay = runAt - this.clock.now();
+      job.timer = this.clock.setTimeout(() => {
+        job.timer = null;
+        if (runAt > this.clock.now()) return wait();
+        this._tick(job);
+      }, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+    };
+    wait();
+  }
+
+  _clearTimer(job) {
+    if (job.timer !== null) {
+      this.clock.clearTimeout(job.timer);
+      job.timer = null;
+    }
+  }
+
+  _tick(job) {
+    if (!this.running || this.jobs.get(job.id) !== job) return;
+    const scheduledAt = job.state.nextRunAt;
+
+    // Arm the next run before this one starts, from the nominal time so jitter doesn't drift
+    this._scheduleNext(job, job.nominalAt);
+    this._run(job, scheduledAt).catch(error => this._reportError(error, job.id));
+  }
+
+  // Failures outside a run, such as a store that can't save. An 'error' event
+  // nobody listens to would throw from a timer and end the process.
+  _reportError(error, jobId) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, { jobId });
+    } else {
+      console.error(`Scheduler job '${jobId}': ${error.message}`);
+    }
+  }
+
+  async _run(job, scheduledAt) {
+    if (job.active) {
+      const entry = { scheduledAt, startedAt: null, finishedAt: null, status: 'skipped', reason: 'overlap' };
+      this._record(job, entry);
+      this.emit('skipped', { jobId: job.id, ...entry });
+      await this._saveState(job);
+      return entry;
+    }
+
+    const controller = new AbortController();
+    const entry = { scheduledAt, startedAt: this.clock.now(), finishedAt: null, status: 'running' };
+    const promise = (async () => {
+      this.emit('run', { jobId: job.id, ...entry });
+      try {
+        const shared = typeof job.shared === 'function' ? await job.shared(job) : { ...job.shared };
+        entry.result = typeof job.flow === 'function'
+          ? await job.flow(shared, { signal: controller.signal, jobId: job.id })
+          : await job.flow.runAsync(shared, { signal: controller.signal });
+        entry.status = 'completed';
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+
+      entry.finishedAt = this.clock.now();
+      entry.duration = entry.finishedAt - entry.startedAt;
+      job.state.lastRunAt = entry.startedAt;
+      job.state.lastStatus = entry.status;
+      job.state.lastError = entry.error || null;
+      job.state.runCount++;
+      this._record(job, entry);
+      await this._saveState(job);
+      this.emit(entry.status === 'completed' ? 'complete' : 'failed', { jobId: job.id, ...entry });
+      return entry;
+    })();
+
+    job.active = { promise, controller };
+    try {
+      return await promise;
+    } finally {
+      job.active = null;
+    }
+  }
+
+  _record(job, entry) {
+    const { result, ...record } = entry;
+    job.state.history.push(record);
+    if (job.state.history.length > this.historyLimit) {
+      job.state.history.splice(0, job.state.history.length - this.historyLimit);
+    }
+  }
+}
+
+// Convenience functions
+export const createScheduler = (options) => new FlowScheduler(options);
+export const parseCron = (expression, options) => new CronExpression(expression, options);
+
+export default FlowScheduler;
@@ -8,7 +8,22 @@
  */
 
 import { EventEmitter } from 'events';
-import { AsyncNode } from '../../skingflow.js';
+import { AsyncNode, AbortError } from '../../skingflow.js';
+
+/**
+ * Reject as soon as the signal fires, even if the implementation ignores it
+ */
+function withAbort(promise, signal, message) {
+  if (!signal) return promise;
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(AbortError.from(signal, message));
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
 
 /**
  * Tool Definition Schema
@@ -209,11 +224,15 @@ export class Tool extends EventEmitter {
     return this.definition.description;
   }
 
-  async execute(parameters = {}) {
+  async execute(parameters = {}, options = {}) {
     const startTime = Date.now();
+    const context = this.context || {};
+    const signal = options.signal || context.signal || null;
     this.stats.calls++;
     
     try {
+      AbortError.throwIfAborted(signal, `Tool ${this.name} aborted`);
+      
       // Validate parameters
       const errors = this.definition.validateParameters(parameters);
       if (errors.length > 0) {
@@ -221,7 +240,11 @@ export class Tool extends EventEmitter {
       }
       
       // Execute tool
-      const result = await this._execute(parameters, this.context || {});
+      const result = await withAbort(
+        this._execute(parameters, { ...context, signal }),
+        signal,
+        `Tool ${this.name} aborted`
+      );
       
       this.stats.successes++;
       this.stats.totalTime += Date.now() - startTime;
@@ -230,7 +253,11 @@ export class Tool extends EventEmitter {
       return result;
     } catch (error) {
       this.stats.failures++;
-      this.emit('error', { parameters, error, duration: Date.now() - startTime });
+      if (error instanceof AbortError) {
+        this.emit('aborted', { parameters, error, duration: Date.now() - startTime });
+      } else {
+        this.emit('error', { parameters, error, duration: Date.now() - startTime });
+      }
       throw error;
     }
   }
@@ -321,14 +348,15 @@ export class HTTPTool extends Tool {
     };
   }
 
-  async _execute(parameters) {
+  async _execute(parameters, context = {}) {
     const { url, method, headers, timeout } = this.config;
+    const timeoutSignal = AbortSignal.timeout(timeout);
     
     const response = await fetch(url, {
       method,
       headers,
       body: method !== 'GET' ? JSON.stringify(parameters) : undefined,
-      signal: AbortSignal.timeout(timeout)
+      signal: context.signal ? AbortSignal.any([context.signal, timeoutSignal]) : timeoutSignal
     });
     
     if (!response.ok) {
@@ -511,14 +539,29 @@ export class ToolRegistry extends EventEmitter {
       throw new Error(`Tool not found: ${name}`);
     }
     
-    // Pass context to tool execution
-    if (tool.definition.execute && typeof tool.definition.execute === 'function') {
-      return await tool.definition.execute(parameters, context);
-    }
+    AbortError.throwIfAborted(context.signal, `Tool ${name} aborted`);
+    
+    // A traceSpan in the context gets a child span for this call
+    const span = context.traceSpan?.startChild(`tool ${name}`, {
+      attributes: { 'skingflow.tool.name': name }
+    }) ?? null;
     
-    // Set context on tool and execute
-    tool.context = context;
-    return await tool.execute(parameters);
+    try {
+      let result;
+      if (tool.definition.execute && typeof tool.definition.execute === 'function') {
+        // Pass context to tool execution
+        result = await withAbort(tool.definition.execute(parameters, context), context.signal, `Tool ${name} aborted`);
+      } else {
+        // Set context on tool and execute
+        tool.context = context;
+        result = await tool.execute(parameters);
+      }
+      span?.end();
+      return result;
+    } catch (error) {
+      span?.end(error);
+      throw error;
+    }
   }
 
   /**
@@ -644,7 +687,10 @@ export class ToolNode extends AsyncNode {
           }
           
           yield `Executing tool: ${prepRes.toolName}\n`;
-          const result = await this.registry.execute(prepRes.toolName, prepRes.parameters);
+          const result = await this.registry.execute(prepRes.toolName, prepRes.parameters, {
+            signal: this.signal,
+            traceSpan: this.traceSpan
+          });
           
           if (typeof result === 'string') {
             yield result;
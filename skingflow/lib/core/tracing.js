@@ -0,0 +1,309 @@
+/**
+ * Tracing for skingflow
+ *
+ * OpenTelemetry-style spans for flows, steps, nodes, LLM calls and tool
+ * calls. Spans are exported per trace to an in-memory exporter or to a file
+ * of OTLP JSON; no collector is needed.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+import { randomBytes } from 'crypto';
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Span - one timed operation in a trace
+ */
+export class Span {
+  constructor(tracer, name, options = {}) {
+    const parent = Span.parseContext(options.parent);
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || 'internal';
+    this.traceId = parent?.traceId || randomBytes(16).toString('hex');
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = parent?.spanId || null;
+    this.localRoot = !(options.parent instanceof Span); // the parent, if any, lives in another process
+    this.startTime = tracer.now();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset', message: null };
+    this.setAttributes(options.attributes || {});
+  }
+
+  /**
+   * Accepts a Span, { traceId, spanId }, or a W3C traceparent header
+   */
+  static parseContext(parent) {
+    if (!parent) return null;
+    if (typeof parent === 'string') {
+      const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(parent.trim());
+      if (!match) throw new Error(`Invalid traceparent: ${parent}`);
+      return { traceId: match[1], spanId: match[2] };
+    }
+    return { traceId: parent.traceId, spanId: parent.spanId };
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  get duration() {
+    return this.ended ? this.endTime - this.startTime : null;
+  }
+
+  // W3C traceparent header for propagating this span to another service
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: this.tracer.now(), attributes });
+    return this;
+  }
+
+  recordException(error) {
+    return this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': error?.message ?? String(error)
+    });
+  }
+
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  startChild(name, options = {}) {
+    return this.tracer.startSpan(name, { ...options, parent: this });
+  }
+
+  /**
+   * End the span, marking it failed when an error is given. Later calls are ignored.
+   */
+  end(error = null) {
+    if (this.ended) return this;
+    if (error) {
+      this.recordException(error);
+      this.setStatus('error', error.message ?? String(error));
+    }
+    this.endTime = this.tracer.now();
+    this.tracer._onEnd(this);
+    return this;
+  }
+}
+
+/**
+ * Tracer - creates spans and exports each trace once its local root ends
+ */
+export class Tracer {
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || 'skingflow';
+    this.exporter = options.exporter || new InMemorySpanExporter();
+    this.now = options.now || (() => Date.now());
+    // Spans that end after their root was exported, or whose root never ends,
+    // go out once they have waited flushInterval ms or maxPendingSpans pile up
+    this.flushInterval = options.flushInterval ?? 30000;
+    this.maxPendingSpans = options.maxPendingSpans ?? 1000;
+    this.finished = new Map(); // traceId -> { since, spans } ended spans waiting for their root
+    this.pendingSpans = 0;
+    this.timer = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * parent may be a Span, { traceId, spanId } or a traceparent header
+   */
+  startSpan(name, options = {}) {
+    return new Span(this, name, options);
+  }
+
+  /**
+   * Run fn(span) inside a new span, ending it when fn settles
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await fn(span);
+      span.end();
+      return result;
+    } catch (error) {
+      span.end(error);
+      throw error;
+    }
+  }
+
+  _onEnd(span) {
+    if (!this.finished.has(span.traceId)) this.finished.set(span.traceId, { since: this.now(), spans: [] });
+    this.finished.get(span.traceId).spans.push(span);
+    this.pendingSpans++;
+    if (span.localRoot) {
+      this._exportWaiting((traceId) => traceId === span.traceId);
+    } else if (this.pendingSpans > this.maxPendingSpans) {
+      this._exportWaiting(() => true);
+    }
+    this._schedule();
+  }
+
+  _exportWaiting(select) {
+    for (const [traceId, entry] of this.finished) {
+      if (!select(traceId, entry)) continue;
+      this.finished.delete(traceId);
+      this.pendingSpans -= entry.spans.length;
+      this._export(entry.spans);
+    }
+  }
+
+  // The timer doesn't keep the process alive; flush() before exiting
+  _schedule() {
+    if (this.finished.size === 0) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    } else if (!this.timer && this.flushInterval > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        const cutoff = this.now() - this.flushInterval;
+        this._exportWaiting((traceId, { since }) => since <= cutoff);
+        this._schedule();
+      }, this.flushInterval);
+      this.timer.unref?.();
+    }
+  }
+
+  _export(spans) {
+    const exported = this.exporter.export(spans, { serviceName: this.serviceName });
+    this.pending = this.pending
+      .then(() => exported)
+      .catch(error => console.warn(`Span export failed: ${error.message}`));
+  }
+
+  /**
+   * Export spans whose root hasn't ended yet and wait for pending exports
+   */
+  async flush() {
+    this._exportWaiting(() => true);
+    this._schedule();
+    await this.pending;
+  }
+}
+
+/**
+ * Abstract Span Exporter Interface
+ */
+export class SpanExporter {
+  async export(spans, resource = {}) {
+    throw new Error('export() must be implemented by span exporter');
+  }
+
+  async shutdown() {}
+}
+
+/**
+ * In-Memory Span Exporter - keeps finished spans for tests
+ */
+export class InMemorySpanExporter extends SpanExporter {
+  constructor() {
+    super();
+    this.spans = [];
+  }
+
+  // Synchronous so spans are visible as soon as a run returns
+  export(spans) {
+    this.spans.push(...spans);
+    return Promise.resolve();
+  }
+
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * OTLP File Exporter - appends one OTLP/JSON ExportTraceServiceRequest per
+ * line, the format the OpenTelemetry Collector's file receiver reads
+ */
+export class OTLPFileExporter extends SpanExporter {
+  constructor(filePath = './traces.jsonl') {
+    super();
+    this.filePath = filePath;
+  }
+
+  async export(spans, resource = {}) {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(toOTLP(spans, resource))}\n`, 'utf-8');
+  }
+}
+
+function toAnyValue(value) {
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+const toUnixNano = (ms) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+/**
+ * Convert spans to an OTLP/JSON ExportTraceServiceRequest
+ */
+export function toOTLP(spans, { serviceName = 'skingflow' } = {}) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toKeyValues({ 'service.name': serviceName }) },
+      scopeSpans: [{
+        scope: { name: 'skingflow' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime ?? span.startTime),
+          attributes: toKeyValues(span.attributes),
+          events: span.events.map(event => ({
+            timeUnixNano: toUnixNano(event.time),
+            name: event.name,
+            attributes: toKeyValues(event.attributes)
+          })),
+          status: {
+            code: STATUS_CODES[span.status.code] ?? 0,
+            ...(span.status.message ? { message: span.status.message } : {})
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+// Convenience functions
+export const createTracer = (options) => new Tracer(options);
+export const createInMemorySpanExporter = () => new InMemorySpanExporter();
+export const createOTLPFileExporter = (filePath) => new OTLPFileExporter(filePath);
+
+export default Tracer;
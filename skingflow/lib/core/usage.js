@@ -0,0 +1,160 @@
+/**
+ * Token Usage and Cost Accounting for skingflow
+ *
+ * Token estimates for APIs that don't report usage, a pricing table keyed
+ * by model, and a tracker that totals usage per session, user and model.
+ *
+ * @author skingko <venture2157@gmail.com>
+ */
+
+/**
+ * USD per million tokens. A model matches the longest key it starts with, so
+ * dated snapshots such as gpt-4o-2024-08-06 use the gpt-4o price.
+ */
+export const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 },
+  'gpt-4.1': { input: 2, output: 8, cachedInput: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cachedInput: 0.1 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60, cachedInput: 7.5 },
+  'o3-mini': { input: 1.1, output: 4.4, cachedInput: 0.55 },
+  'claude-opus-4': { input: 15, output: 75, cachedInput: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cachedInput: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cachedInput: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cachedInput: 0.03 },
+  'deepseek-chat': { input: 0.27, output: 1.1, cachedInput: 0.07 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19, cachedInput: 0.14 }
+};
+
+/**
+ * Rough token count for text (about four characters per token)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Rough token count for a prompt: a string or a list of chat messages
+ */
+export function estimateMessageTokens(messages) {
+  if (typeof messages === 'string') return estimateTokens(messages);
+  return (Array.isArray(messages) ? messages : [messages]).reduce((total, message) => {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '');
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return total + 4 + estimateTokens(content) + estimateTokens(toolCalls); // 4 for the role and separators
+  }, 0);
+}
+
+/**
+ * Price for a model, or null when it isn't in the table
+ */
+export function getModelPricing(model, pricing = MODEL_PRICING) {
+  if (!model) return null;
+  const key = Object.keys(pricing)
+    .filter(name => model === name || model.startsWith(`${name}-`) || model.startsWith(`${name}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? pricing[key] : null;
+}
+
+/**
+ * Cost in USD of { inputTokens, outputTokens, cachedTokens }; cached tokens
+ * are part of inputTokens and billed at the cachedInput price when there is one
+ */
+export function calculateCost(usage, price) {
+  if (!price) return null;
+  const cached = usage.cachedTokens || 0;
+  const cachedPrice = price.cachedInput ?? price.input;
+  const cost = ((usage.inputTokens - cached) * price.input
+    + cached * cachedPrice
+    + usage.outputTokens * price.output) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, cost: 0 });
+
+function addUsage(totals, usage) {
+  totals.requests++;
+  totals.inputTokens += usage.inputTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  totals.cachedTokens += usage.cachedTokens || 0;
+  totals.cost = Math.round((totals.cost + (usage.cost || 0)) * 1e8) / 1e8;
+  return totals;
+}
+
+/**
+ * Usage Tracker - totals LLM usage overall and per session, user and model.
+ * Only the maxSessions sessions and maxUsers users (default 10000 each) that
+ * were charged most recently keep their totals; older ones still count in
+ * the overall totals.
+ */
+export class UsageTracker {
+  constructor(options = {}) {
+    this.maxSessions = options.maxSessions ?? 10000;
+    this.maxUsers = options.maxUsers ?? 10000;
+    this.reset();
+  }
+
+  /**
+   * Add one request's usage event; `scope` may name its sessionId and userId
+   */
+  record(usage, scope = {}) {
+    addUsage(this.totals, usage);
+    const groups = [
+      [this.sessions, scope.sessionId, this.maxSessions],
+      [this.users, scope.userId, this.maxUsers],
+      [this.models, usage.model, Infinity]
+    ];
+    for (const [group, key, max] of groups) {
+      if (!key) continue;
+      // Re-inserted so the map stays in least recently charged order
+      const totals = group.get(key) || emptyTotals();
+      group.delete(key);
+      group.set(key, addUsage(totals, usage));
+      for (const oldest of group.keys()) {
+        if (group.size <= max) break;
+        group.delete(oldest);
+      }
+    }
+  }
+
+  getTotals() {
+    return { ...this.totals };
+  }
+
+  getSession(sessionId) {
+    return { ...(this.sessions.get(sessionId) || emptyTotals()) };
+  }
+
+  getUser(userId) {
+    return { ...(this.users.get(userId) || emptyTotals()) };
+  }
+
+  getStats() {
+    return {
+      ...this.totals,
+      bySession: Object.fromEntries(this.sessions),
+      byUser: Object.fromEntries(this.users),
+      byModel: Object.fromEntries(this.models)
+    };
+  }
+
+  reset() {
+    this.totals = emptyTotals();
+    this.sessions = new Map();
+    this.users = new Map();
+    this.models = new Map();
+  }
+}
+
+// Convenience functions
+export const createUsageTracker = (options) => new UsageTracker(options);
+
+export default UsageTracker;
@@ -10,6 +10,10 @@
 
 // Core skingflow components
 export {
+  AbortError,
+  TimeoutError,
+  SuspendRun,
+  RetryPolicy,
   BaseNode,
   Node,
   BatchNode,
@@ -20,7 +24,8 @@ export {
   AsyncParallelBatchNode,
   AsyncFlow,
   AsyncBatchFlow,
-  AsyncParallelBatchFlow
+  AsyncParallelBatchFlow,
+  ParallelNode
 } from '../skingflow.js';
 
 // LLM System
@@ -34,6 +39,7 @@ export {
   OllamaProvider,
   LLMFactory,
   LLMNode,
+  ToolCallAccumulator,
   createLLM,
   createLLMNode
 } from './core/llm.js';
@@ -66,22 +72,111 @@ export {
   BuiltinTools
 } from './core/tools.js';
 
+// Checkpointing
+export {
+  CheckpointStore,
+  CheckpointError,
+  InMemoryCheckpointStore,
+  FileCheckpointStore,
+  serializeCheckpoint,
+  deserializeCheckpoint,
+  createInMemoryCheckpointStore,
+  createFileCheckpointStore
+} from './core/checkpoint.js';
+
+// Run logs
+export {
+  RunLogSink,
+  InMemoryRunLogSink,
+  JsonlRunLogSink,
+  RunReplay,
+  createInMemoryRunLog,
+  createJsonlRunLog,
+  replayRun
+} from './core/run-log.js';
+
+// Tracing
+export {
+  Span,
+  Tracer,
+  SpanExporter,
+  InMemorySpanExporter,
+  OTLPFileExporter,
+  toOTLP,
+  createTracer,
+  createInMemorySpanExporter,
+  createOTLPFileExporter
+} from './core/tracing.js';
+
+// Usage and cost
+export {
+  MODEL_PRICING,
+  UsageTracker,
+  estimateTokens,
+  estimateMessageTokens,
+  getModelPricing,
+  calculateCost,
+  createUsageTracker
+} from './core/usage.js';
+
+// Budget limits
+export {
+  BudgetPolicy,
+  BudgetExceededError,
+  createBudgetPolicy
+} from './core/budget.js';
+
+// Scheduling
+export {
+  CronExpression,
+  FlowScheduler,
+  ManualClock,
+  systemClock,
+  createScheduler,
+  parseCron
+} from './core/scheduler.js';
+
+// Human-in-the-loop
+export {
+  HumanInputNode,
+  ApprovalRejectedError,
+  createInputNode,
+  createApprovalNode
+} from './core/human-input.js';
+
+// Expressions
+export {
+  Expression,
+  ExpressionError,
+  EXPRESSION_FUNCTIONS,
+  compileExpression,
+  evaluateExpression,
+  parseTemplate,
+  renderTemplate
+} from './core/expression.js';
+
 // Orchestration System
 export {
   FlowStep,
   FlowCondition,
   ParallelGroup,
+  ParallelConflictError,
   FlowLoop,
+  FlowMap,
   FlowOrchestrator,
   OrchestrationMiddleware,
   LoggingMiddleware,
   TimingMiddleware,
   RetryMiddleware,
+  NodeRegistry,
+  WorkflowConfigError,
   createOrchestrator,
   createStep,
   createCondition,
   createParallelGroup,
-  createLoop
+  createLoop,
+  createMap,
+  createNodeRegistry
 } from './core/orchestration.js';
 
 // Framework utilities and builders
@@ -215,7 +310,7 @@ export async function createMemoryChatFlow(llmConfig, memoryConfig = {}, options
 export async function createToolChatFlow(llmConfig, tools = [], options = {}) {
   const { LLMNode } = await import('./core/llm.js');
   const { ToolRegistry, BuiltinTools } = await import('./core/tools.js');
-  const { AsyncFlow } = await import('../skingflow.js');
+  const { AsyncFlow, AbortError } = await import('../skingflow.js');
   
   const llmNode = createLLMNode(llmConfig);
   const toolRegistry = new ToolRegistry();
@@ -237,28 +332,36 @@ export async function createToolChatFlow(llmConfig, tools = [], options = {}) {
       // Add available tools to LLM context
       shared.availableTools = this.tools.getOpenAIFunctions();
       
-      // Generate response with tool calls
-      let response = '';
-      for await (const chunk of this.llm.execAsyncStream(shared)) {
+      // Stream from the provider itself: LLMNode turns tool-call events into text
+      const { messages, options } = await this.llm.prepAsync(shared);
+      const toolCalls = [];
+      for await (const chunk of this.llm.llm.stream(messages, {
+        ...options,
+        tools: shared.availableTools,
+        signal: this.signal,
+        traceSpan: this.traceSpan
+      })) {
         if (typeof chunk === 'string') {
-          response += chunk;
           yield chunk;
-        } else {
-          // Handle tool calls
-          if (chunk.type === 'tool_calls') {
-            for (const toolCall of chunk.content) {
-              yield `\nCalling tool: ${toolCall.function.name}\n`;
-              try {
-                const result = await this.tools.execute(
-                  toolCall.function.name,
-                  JSON.parse(toolCall.function.arguments)
-                );
-                yield `Tool result: ${JSON.stringify(result)}\n`;
-              } catch (error) {
-                yield `Tool error: ${error.message}\n`;
-              }
-            }
+        } else if (chunk.type === 'tool_call') {
+          toolCalls.push(chunk);
+        }
+      }
+      
+      for (const toolCall of toolCalls) {
+        yield `\nCalling tool: ${toolCall.name}\n`;
+        try {
+          if (toolCall.error) {
+            throw new Error(toolCall.error);
           }
+          const result = await this.tools.execute(toolCall.name, toolCall.arguments, {
+            signal: this.signal,
+            traceSpan: this.traceSpan
+          });
+          yield `Tool result: ${JSON.stringify(result)}\n`;
+        } catch (error) {
+          if (error instanceof AbortError) throw error;
+          yield `Tool error: ${error.message}\n`;
         }
       }
     }
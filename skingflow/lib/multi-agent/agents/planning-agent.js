@@ -7,8 +7,9 @@
  * @author skingko <venture2157@gmail.com>
  */
 
-import { AsyncNode } from '../../../skingflow.js';
+import { AsyncNode, AbortError } from '../../../skingflow.js';
 import { PromptTemplate } from '../../core/llm.js';
+import { BudgetExceededError } from '../../core/budget.js';
 import YAML from 'yaml';
 import chalk from 'chalk';
 
@@ -204,6 +205,9 @@ Session ID: {{sessionId}}
 - **{{name}}**: {{description}}
 {{/each}}
 
+## Budget
+{{budget}}
+
 ## User Request
 {{userRequest}}
 
@@ -251,6 +255,21 @@ Focus on creating actionable, specific tasks that will lead to successful comple
     console.log(chalk.blue('📋 Planning agent initialized'));
   }
 
+  /**
+   * Remaining LLM budget as a note for the planning prompt
+   */
+  describeBudget(session) {
+    const remaining = this.llm?.budget?.remaining(session.budgetScope);
+    if (!remaining || (remaining.tokens === null && remaining.cost === null)) {
+      return 'No budget limit.';
+    }
+    const parts = [];
+    if (remaining.tokens !== null) parts.push(`${remaining.tokens} tokens`);
+    if (remaining.cost !== null) parts.push(`$${remaining.cost.toFixed(4)}`);
+    return `Remaining LLM budget: ${parts.join(', ')}. Every task is executed by a sub-agent ` +
+      `with its own LLM call, so plan only as many tasks as this budget covers and merge steps when it is tight.`;
+  }
+
   async createPlan(session) {
     console.log(chalk.cyan('📋 Creating execution plan...'));
 
@@ -273,14 +292,15 @@ Focus on creating actionable, specific tasks that will lead to successful comple
           { name: 'code-agent', description: 'Programming and technical implementation tasks' },
           { name: 'data-agent', description: 'Data processing, analysis, and visualization' },
           { name: 'content-agent', description: 'Writing, editing, and content creation' }
-        ]
+        ],
+        budget: this.describeBudget(session)
       };
 
       // Generate plan using LLM
       const planningPrompt = this.promptTemplate.compile(context);
       let response = '';
       
-      for await (const chunk of this.llm.stream(planningPrompt)) {
+      for await (const chunk of this.llm.stream(planningPrompt, { signal: session.signal, traceSpan: session.traceSpan, onUsage: session.onUsage, budgetScope: session.budgetScope })) {
         if (typeof chunk === 'string') {
           response += chunk;
         }
@@ -350,6 +370,7 @@ Focus on creating actionable, specific tasks that will lead to successful comple
       return plan;
 
     } catch (error) {
+      if (error instanceof AbortError || error instanceof BudgetExceededError) throw error;
       console.error(chalk.red('❌ Planning failed:'), error.message);
       
       // Fallback: create a simple general task
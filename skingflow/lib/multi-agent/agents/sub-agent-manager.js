@@ -7,8 +7,9 @@
  * @author skingko <venture2157@gmail.com>
  */
 
-import { AsyncNode } from '../../../skingflow.js';
+import { AsyncNode, AbortError } from '../../../skingflow.js';
 import { PromptTemplate } from '../../core/llm.js';
+import { BudgetExceededError } from '../../core/budget.js';
 import YAML from 'yaml';
 import chalk from 'chalk';
 
@@ -382,6 +383,9 @@ Focus on delivering high-quality results that meet the success criteria. If you
 
   async execute(task, session) {
     const startTime = Date.now();
+    const span = session.traceSpan?.startChild(`agent ${this.name}`, {
+      attributes: { 'skingflow.agent': this.name, 'skingflow.task': task.content }
+    }) ?? null;
     
     try {
       console.log(chalk.cyan(`🤖 ${this.name}: Executing task "${task.content}"`));
@@ -390,13 +394,14 @@ Focus on delivering high-quality results that meet the success criteria. If you
       const context = await this.prepareContext(task, session);
       
       // Generate response
-      const result = await this.generateResponse(context);
+      const result = await this.generateResponse(context, { signal: session.signal, traceSpan: span, onUsage: session.onUsage, budgetScope: session.budgetScope });
       
       // Update statistics
       const executionTime = Date.now() - startTime;
       this.updateStats(true, executionTime);
       
       console.log(chalk.green(`✅ ${this.name}: Task completed in ${executionTime}ms`));
+      span?.end();
       
       return {
         success: true,
@@ -414,6 +419,13 @@ Focus on delivering high-quality results that meet the success criteria. If you
     } catch (error) {
       const executionTime = Date.now() - startTime;
       this.updateStats(false, executionTime);
+      span?.end(error);
+      
+      if (error instanceof AbortError) {
+        console.log(chalk.yellow(`⏹️  ${this.name}: Task aborted`));
+        throw error;
+      }
+      if (error instanceof BudgetExceededError) throw error;
       
       console.error(chalk.red(`❌ ${this.name}: Task failed - ${error.message}`));
       
@@ -469,11 +481,11 @@ Focus on delivering high-quality results that meet the success criteria. If you
     };
   }
 
-  async generateResponse(context) {
+  async generateResponse(context, options = {}) {
     const prompt = this.promptTemplate.compile(context);
     
     let response = '';
-    for await (const chunk of this.llm.stream(prompt)) {
+    for await (const chunk of this.llm.stream(prompt, { signal: options.signal, traceSpan: options.traceSpan, onUsage: options.onUsage, budgetScope: options.budgetScope })) {
       if (typeof chunk === 'string') {
         response += chunk;
       }
@@ -595,7 +607,11 @@ Focus on delivering high-quality results that meet the success criteria. If you
   async *execAsyncStream(shared) {
     yield chalk.cyan(`🤖 ${this.name}: Starting task execution...\n`);
     
-    const result = await this.execute(shared.task, shared.session);
+    let session = shared.session;
+    if (this.signal || this.traceSpan) {
+      session = { ...session, signal: this.signal || session?.signal, traceSpan: this.traceSpan || session?.traceSpan };
+    }
+    const result = await this.execute(shared.task, session);
     
     if (result.success) {
       yield chalk.green(`✅ ${this.name}: Task completed successfully\n`);
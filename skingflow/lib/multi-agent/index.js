@@ -10,8 +10,10 @@
  * @author skingko <venture2157@gmail.com>
  */
 
-import { AsyncNode, AsyncFlow } from '../../skingflow.js';
+import { AsyncNode, AsyncFlow, AbortError } from '../../skingflow.js';
 import { LLMFactory } from '../core/llm.js';
+import { UsageTracker } from '../core/usage.js';
+import { BudgetExceededError } from '../core/budget.js';
 import { AdvancedMemoryManager } from './memory/advanced-memory.js';
 import { VirtualFileSystem } from './filesystem/virtual-fs.js';
 import { PlanningAgent } from './agents/planning-agent.js';
@@ -33,7 +35,9 @@ export class MultiAgentFrameworkBuilder {
       subAgents: [],
       builtinTools: ['write_todos', 'write_file', 'read_file', 'ls', 'edit_file'],
       virtualFileSystem: true,
-      planningEnabled: true
+      planningEnabled: true,
+      tracer: null,
+      budget: null
     };
   }
 
@@ -77,6 +81,16 @@ export class MultiAgentFrameworkBuilder {
     return this;
   }
 
+  withTracer(tracer) {
+    this.config.tracer = tracer;
+    return this;
+  }
+
+  withBudget(budget) {
+    this.config.budget = budget;
+    return this;
+  }
+
   async build() {
     return new MultiAgentFramework(this.config);
   }
@@ -95,6 +109,7 @@ export class MultiAgentFramework {
     this.planningAgent = null;
     this.subAgentManager = null;
     this.fallbackManager = null;
+    this.usage = new UsageTracker();
     this.initialized = false;
   }
 
@@ -124,6 +139,7 @@ export class MultiAgentFramework {
         await this.fallbackManager.executeWithFallback(
           async () => {
             this.llm = LLMFactory.create(this.config.llm);
+            if (this.config.budget) this.llm.setBudget(this.config.budget);
             await this.llm.initialize();
           },
           {
@@ -215,17 +231,25 @@ export class MultiAgentFramework {
 
   /**
    * Process a user request using the full multi-agent system
+   * Pass `context.signal` (AbortSignal) to cancel the request mid-way, and
+   * `context.traceParent` (a span or traceparent header) to nest its trace.
+   * With a budget, LLM calls are charged to the session and user.
    */
   async processRequest(request, context = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    const { signal = null, traceParent = null, ...requestContext } = context;
     const session = {
       id: context.sessionId || `session_${Date.now()}`,
       userId: context.userId || 'default',
       request,
-      context,
+      context: requestContext,
+      signal,
+      traceSpan: this._startRequestSpan(request, traceParent),
+      // Every LLM call of the request reports its tokens and cost here
+      onUsage: (usage) => this.usage.record(usage, { sessionId: session.id, userId: session.userId }),
       files: Object.assign({}, context.files || {}), // Create a new mutable object
       memories: {
         shortTerm: [],
@@ -237,6 +261,7 @@ export class MultiAgentFramework {
       finalResult: null,
       startTime: Date.now()
     };
+    session.budgetScope = { sessionId: session.id, userId: session.userId };
 
     try {
       console.log(chalk.blue(`\n🎯 Processing request: "${request}"`));
@@ -265,9 +290,11 @@ export class MultiAgentFramework {
       }
 
       // Step 3: Execute plan with sub-agents
+      AbortError.throwIfAborted(signal);
       await this.executePlan(session);
 
       // Step 4: Store memories and update context
+      AbortError.throwIfAborted(signal);
       await this.storeSessionMemories(session);
 
       session.finalResult = {
@@ -277,23 +304,46 @@ export class MultiAgentFramework {
         memoriesStored: session.memories.shortTerm.length + session.memories.longTerm.length,
         subAgentsUsed: session.subAgentResults.length,
         todosCompleted: session.todos.filter(t => t.status === 'completed').length,
-        files: session.files
+        files: session.files,
+        usage: this.usage.getSession(session.id)
       };
 
       console.log(chalk.green('✅ Request processed successfully'));
+      session.traceSpan?.end();
       return session.finalResult;
 
     } catch (error) {
-      console.error(chalk.red('❌ Request processing failed:'), error.message);
+      const aborted = error instanceof AbortError;
+      const budgetExceeded = error instanceof BudgetExceededError;
+      if (aborted) {
+        console.log(chalk.yellow('⏹️  Request aborted'));
+      } else if (budgetExceeded) {
+        console.log(chalk.yellow(`💸 Budget exceeded: ${error.message}`));
+      } else {
+        console.error(chalk.red('❌ Request processing failed:'), error.message);
+      }
       session.finalResult = {
         success: false,
+        aborted,
+        budgetExceeded,
         error: error.message,
-        duration: Date.now() - session.startTime
+        duration: Date.now() - session.startTime,
+        usage: this.usage.getSession(session.id)
       };
+      session.traceSpan?.end(error);
       return session.finalResult;
     }
   }
 
+  // Root span of a request; planning, sub-agents and their LLM calls nest under it
+  _startRequestSpan(request, traceParent) {
+    const options = { attributes: { 'skingflow.request': request } };
+    if (this.config.tracer) {
+      return this.config.tracer.startSpan('agent request', { ...options, parent: traceParent });
+    }
+    return traceParent?.startChild?.('agent request', options) ?? null;
+  }
+
   async loadRelevantMemories(session) {
     console.log(chalk.cyan('🧠 Loading relevant memories...'));
     
@@ -328,6 +378,7 @@ export class MultiAgentFramework {
 
     if (session.todos && session.todos.length > 0) {
       for (const todo of session.todos) {
+        AbortError.throwIfAborted(session.signal);
         if (todo.status === 'pending') {
           console.log(chalk.yellow(`📋 Executing: ${todo.content}`));
           
@@ -447,7 +498,7 @@ Only include truly important information worth remembering.
 
     try {
       let response = '';
-      for await (const chunk of this.llm.stream(extractionPrompt)) {
+      for await (const chunk of this.llm.stream(extractionPrompt, { signal: session.signal, traceSpan: session.traceSpan, onUsage: session.onUsage, budgetScope: session.budgetScope })) {
         if (typeof chunk === 'string') {
           response += chunk;
         }
@@ -464,6 +515,7 @@ Only include truly important information worth remembering.
         }));
       }
     } catch (error) {
+      if (error instanceof AbortError) throw error;
       console.warn(chalk.yellow('⚠️  Failed to extract long-term memories:'), error.message);
     }
 
@@ -487,7 +539,8 @@ Only include truly important information worth remembering.
         virtualFs: !!this.virtualFs,
         planningAgent: !!this.planningAgent,
         subAgents: this.subAgentManager?.getSubAgentCount() || 0
-      }
+      },
+      usage: this.usage.getStats()
     };
   }
 }
@@ -528,12 +581,18 @@ export class MultiAgentWorkflow extends AsyncNode {
 
     for (let i = 0; i < this.steps.length; i++) {
       const { step, config } = this.steps[i];
+      AbortError.throwIfAborted(this.signal);
       
       yield chalk.cyan(`Step ${i + 1}/${this.steps.length}: ${config.name || step.constructor.name}\n`);
       yield chalk.gray('─'.repeat(40) + '\n');
 
       if (step.execAsyncStream) {
-        for await (const chunk of step.execAsyncStream(shared)) {
+        // Run a copy so concurrent workflow runs don't share the step's signal or span
+        const run = Object.assign(Object.create(Object.getPrototypeOf(step)), step, {
+          signal: this.signal,
+          traceSpan: this.traceSpan
+        });
+        for await (const chunk of run.execAsyncStream(shared)) {
           yield chunk;
         }
       } else if (typeof step === 'function') {
@@ -562,6 +621,8 @@ export function createMultiAgentFramework(config = {}) {
   if (config.builtinTools) builder.withBuiltinTools(config.builtinTools);
   if (config.virtualFileSystem === false) builder.disableVirtualFileSystem();
   if (config.planningEnabled === false) builder.disablePlanning();
+  if (config.budget) builder.withBudget(config.budget);
+  if (config.tracer) builder.withTracer(config.tracer);
 
   return builder.build();
 }
@@ -13,6 +13,8 @@
 
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { AbortError } from '../../../skingflow.js';
+import { BudgetExceededError } from '../../core/budget.js';
 
 /**
  * Fallback Strategy Types
@@ -98,6 +100,9 @@ export class FallbackManager extends EventEmitter {
       return result;
 
     } catch (error) {
+      // Cancellation and spent budgets are not failures to recover from
+      if (error instanceof AbortError || error instanceof BudgetExceededError) throw error;
+      
       console.warn(chalk.yellow(`⚠️  ${component} operation failed: ${error.message}`));
       
       // Categorize error
@@ -138,7 +143,7 @@ export class FallbackManager extends EventEmitter {
         lastError = error;
         
         // Check if error is retryable
-        if (!this.isRetryableError(error) || attempt === maxRetries) {
+        if (error instanceof AbortError || error instanceof BudgetExceededError || !this.isRetryableError(error) || attempt === maxRetries) {
           throw error;
         }
       }
@@ -202,6 +207,7 @@ export class FallbackManager extends EventEmitter {
         return result;
 
       } catch (altError) {
+        if (altError instanceof AbortError || altError instanceof BudgetExceededError) throw altError;
         console.warn(chalk.gray(`   Alternative ${alternative.name} failed: ${altError.message}`));
         continue;
       }
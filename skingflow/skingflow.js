@@ -4,23 +4,517 @@
 // Author: skingko <venture2157@gmail.com>
 //
 
+import { EventEmitter } from 'events';
+
+// Sync nodes cannot yield to the event loop, but Atomics.wait at least parks
+// the thread instead of spinning a CPU core.
 function sleepSync(ms) {
-  const end = Date.now() + ms;
-  // eslint-disable-next-line no-empty
-  while (Date.now() < end) {}
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// AbortError -------------------------------------------------------------------
+class AbortError extends Error {
+  constructor(message = 'The operation was aborted', options = {}) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+
+  static throwIfAborted(signal, message) {
+    if (signal?.aborted) throw AbortError.from(signal, message);
+  }
+
+  // The error an aborted signal should surface: its own AbortError or
+  // TimeoutError reason, otherwise a new AbortError.
+  static from(signal, message) {
+    const reason = signal.reason;
+    if (reason instanceof AbortError || reason instanceof TimeoutError) return reason;
+    return new AbortError(message, { cause: reason });
+  }
+}
+
+// TimeoutError -----------------------------------------------------------------
+class TimeoutError extends Error {
+  constructor(message, { node = null, step = null, elapsed = 0, timeout = 0 } = {}, options = {}) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.node = node;
+    this.step = step;
+    this.elapsed = elapsed; // milliseconds
+    this.timeout = timeout;
+  }
+
+  // Returns { signal, clear }. The signal aborts with a TimeoutError after
+  // `timeout` ms, or with the parent's reason when the parent aborts first.
+  static deadline(timeout, { node = null, step = null } = {}, parent = null) {
+    if (!(timeout > 0)) return { signal: parent, clear() {} };
+    const controller = new AbortController();
+    const started = Date.now();
+    const label = step ? `Step '${step}'` : `Node '${node}'`;
+    const timer = setTimeout(() => {
+      const elapsed = Date.now() - started;
+      controller.abort(new TimeoutError(
+        `${label} timed out after ${elapsed}ms`,
+        { node, step, elapsed, timeout },
+      ));
+    }, timeout);
+    const signal = parent ? AbortSignal.any([parent, controller.signal]) : controller.signal;
+    return { signal, clear: () => clearTimeout(timer) };
+  }
+}
+
+// SuspendRun -------------------------------------------------------------------
+// Thrown by a node that needs an answer from outside the run, such as a human
+// approval. A flow with a checkpoint store saves the run as 'awaiting_input';
+// resume(runId, { response }) stores the answer at shared[request.key] and
+// runs the node again.
+class SuspendRun extends Error {
+  constructor(request = {}, options = {}) {
+    super(request.prompt || 'Run suspended awaiting input', options);
+    this.name = 'SuspendRun';
+    this.request = request; // { key, kind, prompt, expiresIn, defaultResponse, ... }
+    this.state = null; // extra resume state a flow may attach
+  }
+}
+
+// Settles with the promise, or rejects as soon as the signal aborts.
+function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(AbortError.from(signal));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    AbortError.throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(AbortError.from(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 
+// RetryPolicy ------------------------------------------------------------------
+// Decides whether a failed exec is retried and how long to wait first. One
+// policy can be shared by many nodes; it emits 'retry' and 'exhausted' events.
+class RetryPolicy extends EventEmitter {
+  constructor({
+    backoff = 'fixed', // 'fixed' | 'exponential'
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = 0, // 0..1, fraction of the delay that is randomised away
+    retryOn = null, // predicate, or list of error classes / error names
+  } = {}) {
+    super();
+    if (!['fixed', 'exponential'].includes(backoff)) {
+      throw new TypeError(`Unknown backoff '${backoff}'`);
+    }
+    this.backoff = backoff;
+    this.factor = factor;
+    this.maxDelay = maxDelay;
+    this.jitter = Math.min(Math.max(jitter === true ? 1 : Number(jitter) || 0, 0), 1);
+    this.retryOn = retryOn;
+  }
+
+  shouldRetry(err) {
+    if (err instanceof AbortError || err instanceof SuspendRun) return false;
+    if (!this.retryOn) return true;
+    const isErrorClass = (match) => match === Error || match?.prototype instanceof Error;
+    if (typeof this.retryOn === 'function' && !isErrorClass(this.retryOn)) {
+      return Boolean(this.retryOn(err));
+    }
+    return [].concat(this.retryOn).some((match) => (
+      typeof match === 'string' ? err?.name === match : err instanceof match
+    ));
+  }
+
+  // Delay before retry number `retry` (0 = first retry), given the node's wait.
+  getDelay(wait, retry) {
+    let delay = this.backoff === 'exponential' ? wait * this.factor ** retry : wait;
+    delay = Math.min(delay, this.maxDelay);
+    if (this.jitter) delay -= delay * this.jitter * Math.random();
+    return Math.max(0, Math.round(delay));
+  }
+
+  // Abortable wait, for callers that retry outside a node.
+  wait(ms, signal = null) {
+    return sleep(ms, signal);
+  }
+}
+
 function shallowClone(obj) {
   if (!obj) return obj;
   return Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
 }
 
+// Copy of the shared store for a checkpoint. structuredClone keeps Maps, Sets,
+// Dates, BigInts and shared references; the store decides how to persist them.
+function snapshotShared(shared) {
+  try {
+    return structuredClone(shared);
+  } catch (err) {
+    throw new Error(`Cannot checkpoint the shared store: ${err.message}`, { cause: err });
+  }
+}
+
+function nodeName(node) {
+  return node.name || node.constructor.name;
+}
+
+// Records a failed attempt and returns the delay before the next one, or null
+// when the node should give up and fall back.
+function retryDelay(node, err) {
+  node.lastError = err;
+  const policy = node.retryPolicy;
+  const name = nodeName(node);
+  if (node.curRetry >= node.maxRetries - 1 || !policy.shouldRetry(err)) {
+    policy.emit('exhausted', { node: name, attempts: node.curRetry + 1, error: err });
+    return null;
+  }
+  const delay = policy.getDelay(node.wait, node.curRetry);
+  policy.emit('retry', { node: name, attempt: node.curRetry + 1, delay, error: err });
+  node.runRecorder?.record('retry', { node: name, attempt: node.curRetry + 1, delay, error: err.message }, false);
+  node.traceSpan?.addEvent('retry', { attempt: node.curRetry + 1, delay, 'exception.message': err.message });
+  return delay;
+}
+
+function inputResponse(checkpoint, response) {
+  const { input, runId } = checkpoint;
+  const expired = input.expiresAt && Date.now() > Date.parse(input.expiresAt);
+  if (expired) {
+    if (input.defaultResponse === undefined) {
+      throw new Error(`Input request for run ${runId} expired at ${input.expiresAt}`);
+    }
+    return input.defaultResponse;
+  }
+  if (response === undefined) {
+    throw new Error(`Run ${runId} is awaiting input: ${input.prompt || input.key}`);
+  }
+  return response;
+}
+
+// Streaming helpers ------------------------------------------------------------
+function hasExecStream(node) {
+  return typeof node.execAsyncStream === 'function'
+    && node.execAsyncStream !== AsyncNode.prototype.execAsyncStream;
+}
+
+// Yields every chunk from execAsyncStream and returns the streamed text.
+// Waiting for a chunk is raced against node.signal, so a generator stuck on
+// a slow await still stops when the run is cancelled or times out. Nodes
+// with a static settlesOnAbort stop on the signal themselves and are read
+// to the end, so they can clean up (FlowOrchestrator compensates).
+async function* collectStream(node, prepRes) {
+  let text = '';
+  AbortError.throwIfAborted(node.signal);
+  const signal = node.constructor.settlesOnAbort ? null : node.signal;
+  const stream = node.execAsyncStream(prepRes);
+  let step = null;
+  let pending = false;
+  try {
+    for (;;) {
+      pending = true;
+      step = await raceSignal(stream.next(), signal);
+      pending = false;
+      if (step.done) break;
+      AbortError.throwIfAborted(signal);
+      if (typeof step.value === 'string') text += step.value;
+      yield step.value;
+    }
+  } finally {
+    if (!step?.done) {
+      // A generator that is still awaiting cannot be closed until it resumes;
+      // don't wait for it.
+      const closing = stream.return();
+      if (pending) closing.catch(() => {});
+      else await closing;
+    }
+  }
+  return text;
+}
+
+async function* tagStream(node, stream) {
+  const name = nodeName(node);
+  let step;
+  try {
+    step = await stream.next();
+    while (!step.done) {
+      yield { node: name, chunk: step.value };
+      step = await stream.next();
+    }
+    return step.value;
+  } finally {
+    // Consumer stopped early: let the node's generator run its finally blocks.
+    if (step && !step.done) await stream.return();
+  }
+}
+
+async function drainStream(stream, onChunk = null) {
+  let step = await stream.next();
+  while (!step.done) {
+    onChunk?.(step.value);
+    step = await stream.next();
+  }
+  return step.value;
+}
+
+// Streamed runs log their chunks as they reach the caller; runAsync drains
+// them where they are produced and logs them there.
+function chunkRecorder(node, tagged = false) {
+  const recorder = node.runRecorder;
+  if (!recorder) return null;
+  return tagged
+    ? (value) => recorder.record('chunk', value, false)
+    : (chunk) => recorder.record('chunk', { node: nodeName(node), chunk }, false);
+}
+
+// Interleaves several streams and returns their results in input order.
+async function* mergeStreams(streams) {
+  const results = new Array(streams.length);
+  const pending = new Map();
+  const pull = (i) => streams[i].next().then((step) => ({ i, step }));
+  streams.forEach((_, i) => pending.set(i, pull(i)));
+
+  while (pending.size) {
+    const { i, step } = await Promise.race(pending.values());
+    if (step.done) {
+      results[i] = step.value;
+      pending.delete(i);
+    } else {
+      pending.set(i, pull(i));
+      yield step.value;
+    }
+  }
+  return results;
+}
+
+// Run log ----------------------------------------------------------------------
+function toJSON(value) {
+  try {
+    return JSON.stringify(value) ?? 'null';
+  } catch {
+    return JSON.stringify('[Unserializable]');
+  }
+}
+
+// Appends one run's events to a run log sink. Structural events carry the
+// top-level keys of shared that changed since the previous one, so the state
+// at any event can be rebuilt by replaying them in order.
+class RunRecorder {
+  constructor(sink, runId, shared) {
+    this.sink = sink;
+    this.runId = runId;
+    this.shared = shared;
+    this.snapshot = new Map(); // key → JSON of the last recorded value
+    this.node = null; // last node started, reported with errors
+    this.pending = Promise.resolve();
+    this.error = null;
+  }
+
+  record(type, data = {}, withChanges = true) {
+    const event = { runId: this.runId, type, time: new Date().toISOString(), ...data };
+    if (withChanges) {
+      const changes = this.changes();
+      if (changes) event.changes = changes;
+    }
+    if (type === 'node_started') this.node = data.node;
+    this.pending = this.pending
+      .then(() => this.sink.append(event))
+      .catch((err) => { this.error = this.error || err; });
+  }
+
+  // { set: { key: value }, unset: [key] } since the last call, or null
+  changes() {
+    const set = {};
+    const unset = [];
+    const keys = new Set(Object.keys(this.shared));
+    for (const key of keys) {
+      const json = toJSON(this.shared[key]);
+      if (this.snapshot.get(key) !== json) {
+        this.snapshot.set(key, json);
+        set[key] = JSON.parse(json);
+      }
+    }
+    for (const key of this.snapshot.keys()) {
+      if (!keys.has(key)) {
+        this.snapshot.delete(key);
+        unset.push(key);
+      }
+    }
+    if (!Object.keys(set).length && !unset.length) return null;
+    return unset.length ? { set, unset } : { set };
+  }
+
+  finish(result, runId) {
+    const suspended = result?.status === 'awaiting_input' && result.runId === runId;
+    this.record('run_finished', { status: suspended ? 'awaiting_input' : 'completed' });
+  }
+
+  fail(err) {
+    this.record('error', { node: this.node, error: err.message, name: err.name });
+    this.record('run_finished', { status: 'failed', error: err.message }, false);
+  }
+
+  async flush() {
+    await this.pending;
+    if (this.error) console.warn(`Run log for ${this.runId} is incomplete: ${this.error.message}`);
+  }
+}
+
+// Graph helpers ----------------------------------------------------------------
+function isBatch(node) {
+  return node instanceof BatchNode || node instanceof BatchFlow
+    || node instanceof AsyncBatchNode || node instanceof AsyncParallelBatchNode
+    || node instanceof AsyncBatchFlow || node instanceof AsyncParallelBatchFlow;
+}
+
+// Actions a node declares it may return from post: an `actions` array on the
+// node or a static one on its class, ['default'] for nodes that keep the
+// default post. Null means unknown.
+function declaredActions(node) {
+  const declared = Array.isArray(node.actions) ? node.actions : node.constructor.actions;
+  if (Array.isArray(declared)) return [...declared];
+  if (node instanceof Flow) return null;
+  const post = node instanceof AsyncNode ? node.postAsync : node.post;
+  return post === BaseNode.prototype.post || post === AsyncNode.prototype.postAsync ? ['default'] : null;
+}
+
+// Declared actions plus the ones wired to a successor.
+function knownActions(node) {
+  return Array.from(new Set([...(declaredActions(node) || []), ...node.successors.keys()]));
+}
+
+// Tarjan's strongly connected components over the reachable nodes.
+function stronglyConnected(nodes) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    low.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of node.successors.values()) {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(node, Math.min(low.get(node), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(node, Math.min(low.get(node), index.get(next)));
+      }
+    }
+
+    if (low.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of nodes) if (!index.has(node)) visit(node);
+  return components;
+}
+
+function mermaidId(id) {
+  const safe = id.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^end$/i.test(safe) ? `${safe}_` : safe; // 'end' is reserved by Mermaid
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+function renderMermaid(graph, prefix, indent, lines) {
+  for (const node of graph.nodes) {
+    const id = mermaidId(prefix + node.id);
+    const label = mermaidLabel(node.batch ? `${node.id} (batch)` : node.id);
+    if (node.graph) {
+      lines.push(`${indent}subgraph ${id}["${label}"]`);
+      renderMermaid(node.graph, `${prefix}${node.id}/`, `${indent}  `, lines);
+      lines.push(`${indent}end`);
+    } else {
+      lines.push(node.batch ? `${indent}${id}[["${label}"]]` : `${indent}${id}["${label}"]`);
+    }
+  }
+  for (const edge of graph.edges) {
+    const arrow = edge.action === 'default' ? '-->' : `-->|${mermaidLabel(edge.action)}|`;
+    lines.push(`${indent}${mermaidId(prefix + edge.from)} ${arrow} ${mermaidId(prefix + edge.to)}`);
+  }
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// DOT edges cannot point at a cluster, so sub-flows are entered and left
+// through their start node with lhead/ltail set to the cluster.
+function dotEndpoint(graph, prefix, id) {
+  const node = graph.nodes.find(n => n.id === id);
+  if (!node?.graph) return { id: prefix + id, cluster: null };
+  const childPrefix = `${prefix}${id}/`;
+  const inner = node.graph.start
+    ? dotEndpoint(node.graph, childPrefix, node.graph.start).id
+    : `${childPrefix}(empty)`;
+  return { id: inner, cluster: `cluster_${prefix}${id}` };
+}
+
+function renderDot(graph, prefix, indent, lines) {
+  for (const node of graph.nodes) {
+    const id = prefix + node.id;
+    const label = node.batch ? `${node.id} (batch)` : node.id;
+    if (node.graph) {
+      lines.push(`${indent}subgraph ${dotString(`cluster_${id}`)} {`);
+      lines.push(`${indent}  label=${dotString(label)};`);
+      if (!node.graph.nodes.length) {
+        lines.push(`${indent}  ${dotString(`${id}/(empty)`)} [label="(empty)", shape=plaintext];`);
+      }
+      renderDot(node.graph, `${id}/`, `${indent}  `, lines);
+      lines.push(`${indent}}`);
+    } else {
+      const shape = node.batch ? 'box3d' : 'box';
+      lines.push(`${indent}${dotString(id)} [label=${dotString(label)}, shape=${shape}];`);
+    }
+  }
+  for (const edge of graph.edges) {
+    const from = dotEndpoint(graph, prefix, edge.from);
+    const to = dotEndpoint(graph, prefix, edge.to);
+    const attrs = [];
+    if (edge.action !== 'default') attrs.push(`label=${dotString(edge.action)}`);
+    if (from.cluster) attrs.push(`ltail=${dotString(from.cluster)}`);
+    if (to.cluster) attrs.push(`lhead=${dotString(to.cluster)}`);
+    const suffix = attrs.length ? ` [${attrs.join(', ')}]` : '';
+    lines.push(`${indent}${dotString(from.id)} -> ${dotString(to.id)}${suffix};`);
+  }
+}
+
 // BaseNode ---------------------------------------------------------------------
 class BaseNode {
   constructor() {
     this.params = {};
     this.successors = new Map(); // action → node
+    this.predecessors = new Set(); // nodes wired to this one, for validate()
+    this.signal = null; // AbortSignal of the current run
   }
 
   setParams(params = {}) {
@@ -31,10 +525,21 @@ class BaseNode {
     if (this.successors.has(action)) {
       console.warn(`Overwriting successor for action '${action}'`);
     }
+    const previous = this.successors.get(action);
     this.successors.set(action, node);
+    if (previous && !Array.from(this.successors.values()).includes(previous)) {
+      previous.predecessors?.delete(this);
+    }
+    node.predecessors?.add(this);
     return node;
   }
 
+  // Run several branches concurrently after this node; returns the
+  // ParallelNode, whose join(node) sets where they meet again.
+  fork(branches, options = {}) {
+    return this.next(new ParallelNode(branches, options));
+  }
+
   when(action) {
     if (typeof action !== 'string') {
       throw new TypeError('Action must be a string');
@@ -67,26 +572,30 @@ class BaseNode {
 }
 
 class Node extends BaseNode {
-  constructor({ maxRetries = 1, wait = 0 } = {}) {
+  constructor({ maxRetries = 1, wait = 0, retry = null } = {}) {
     super();
     this.maxRetries = maxRetries;
-    this.wait = wait; // milliseconds
+    this.wait = wait; // milliseconds, base delay for the retry policy
+    this.retryPolicy = retry instanceof RetryPolicy ? retry : new RetryPolicy(retry || {});
     this.curRetry = 0;
+    this.lastError = null; // error of the latest failed attempt
   }
 
+  // Called with the last error once retries are exhausted (or the error is
+  // not retryable); this.curRetry holds the index of the failed attempt.
   execFallback(prepRes, err) {
     throw err;
   }
 
   _exec(prepRes) {
+    this.lastError = null;
     for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry += 1) {
       try {
         return this.exec(prepRes);
       } catch (err) {
-        if (this.curRetry === this.maxRetries - 1) {
-          return this.execFallback(prepRes, err);
-        }
-        if (this.wait > 0) sleepSync(this.wait);
+        const delay = retryDelay(this, err);
+        if (delay === null) return this.execFallback(prepRes, err);
+        if (delay > 0) sleepSync(delay);
       }
     }
     return undefined; // should never reach
@@ -110,6 +619,141 @@ class Flow extends BaseNode {
     return node;
   }
 
+  // Stable ids for every node reachable from the start node. Ids follow the
+  // node name, so they survive a process restart as long as the graph is
+  // wired the same way.
+  _nodeIds() {
+    const ids = new Map();
+    const counts = new Map();
+    const queue = this.startNode ? [this.startNode] : [];
+
+    while (queue.length) {
+      const node = queue.shift();
+      if (ids.has(node)) continue;
+      const name = nodeName(node);
+      const count = (counts.get(name) || 0) + 1;
+      counts.set(name, count);
+      ids.set(node, count === 1 ? name : `${name}_${count}`);
+      queue.push(...node.successors.values());
+    }
+    return ids;
+  }
+
+  // Graph introspection --------------------------------------------------------
+  // { start, nodes: [{ id, name, type, kind, batch, actions, graph?, branches? }],
+  //   edges: [{ from, to, action }] }. Nested flows carry their own graph,
+  //   parallel nodes one graph per branch.
+  toGraph() {
+    const ids = this._nodeIds();
+    const nodes = [];
+    const edges = [];
+
+    for (const [node, id] of ids) {
+      const entry = {
+        id,
+        name: nodeName(node),
+        type: node.constructor.name,
+        kind: node instanceof Flow ? 'flow' : node instanceof ParallelNode ? 'parallel' : 'node',
+        batch: isBatch(node),
+        actions: knownActions(node),
+      };
+      if (node instanceof Flow) entry.graph = node.toGraph();
+      if (node instanceof ParallelNode) entry.branches = node.branches.map((start) => new Flow(start).toGraph());
+      nodes.push(entry);
+
+      for (const [action, next] of node.successors) {
+        edges.push({ from: id, to: ids.get(next), action });
+      }
+    }
+    return { start: this.startNode ? ids.get(this.startNode) : null, nodes, edges };
+  }
+
+  toMermaid() {
+    const graph = this.toGraph();
+    const lines = ['flowchart TD'];
+    if (graph.start) lines.push(`  __start__(("start")) --> ${mermaidId(graph.start)}`);
+    renderMermaid(graph, '', '  ', lines);
+    return lines.join('\n');
+  }
+
+  toDot() {
+    const lines = [`digraph ${dotString(nodeName(this))} {`, '  compound=true;'];
+    renderDot(this.toGraph(), '', '  ', lines);
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  // Reports unreachable nodes, actions with no successor and cycles that
+  // never exit. Returns { valid, issues: [{ type, node, message, ... }] }.
+  validate(prefix = '') {
+    const ids = this._nodeIds();
+    const issues = [];
+
+    // Unreachable: wired into the graph but not reachable from the start node
+    const seen = new Set(ids.keys());
+    const queue = Array.from(ids.keys());
+    while (queue.length) {
+      const node = queue.shift();
+      const neighbours = [...(node.predecessors || []), ...node.successors.values()];
+      for (const other of neighbours) {
+        if (seen.has(other)) continue;
+        seen.add(other);
+        queue.push(other);
+        issues.push({
+          type: 'unreachable',
+          node: prefix + nodeName(other),
+          message: `Node '${nodeName(other)}' is not reachable from the start node`,
+        });
+      }
+    }
+
+    // Dangling actions: post may return an action nothing is wired to
+    for (const [node, id] of ids) {
+      if (!node.successors.size) continue;
+      for (const action of declaredActions(node) || []) {
+        if (node.successors.has(action)) continue;
+        issues.push({
+          type: 'dangling-action',
+          node: prefix + id,
+          action,
+          message: `Action '${action}' of node '${id}' has no successor`,
+        });
+      }
+    }
+
+    // Cycles without an exit: no edge leaves the cycle and every node in it
+    // declares its actions, all of them wired
+    for (const component of stronglyConnected(ids.keys())) {
+      const members = new Set(component);
+      const [first] = component;
+      if (component.length === 1 && !Array.from(first.successors.values()).includes(first)) continue;
+
+      const hasExit = component.some((node) => {
+        if (Array.from(node.successors.values()).some(next => !members.has(next))) return true;
+        const actions = declaredActions(node);
+        return !actions || actions.some(action => !node.successors.has(action));
+      });
+      if (hasExit) continue;
+
+      const cycle = component.map(node => prefix + ids.get(node)).reverse();
+      issues.push({
+        type: 'cycle-without-exit',
+        node: cycle[0],
+        nodes: cycle,
+        message: `Cycle ${cycle.join(' → ')} has no exit`,
+      });
+    }
+
+    for (const [node, id] of ids) {
+      if (node instanceof Flow) issues.push(...node.validate(`${prefix}${id}/`).issues);
+      if (node instanceof ParallelNode) {
+        node.branches.forEach((start, i) => issues.push(...new Flow(start).validate(`${prefix}${id}[${i}]/`).issues));
+      }
+    }
+
+    return { valid: issues.length === 0, issues };
+  }
+
   getNextNode(curr, action) {
     const key = action || 'default';
     const nxt = curr.successors.get(key);
@@ -153,7 +797,17 @@ class BatchFlow extends Flow {
 
 
 class AsyncNode extends Node {
-  async prepAsync(shared) {}
+  constructor({ timeout = 0, ...options } = {}) {
+    super(options);
+    this.timeout = timeout; // milliseconds per exec attempt, 0 = no limit
+    this.stepName = null; // set when run as an orchestrator step
+  }
+
+  // Nodes without their own prep receive the shared store, which is what
+  // most execAsyncStream implementations expect.
+  async prepAsync(shared) {
+    return shared;
+  }
   async execAsync(prepRes) {}
   async *execAsyncStream(prepRes) {
     throw new Error('execAsyncStream not implemented');
@@ -162,34 +816,101 @@ class AsyncNode extends Node {
     throw err;
   }
   async postAsync(shared, prepRes, execRes) {}
+  // Called when the run is cancelled through its AbortSignal; release
+  // anything the node holds open here.
+  async onAbort(shared, prepRes, err) {}
 
   async _exec(prepRes) {
-    for (let i = 0; i < this.maxRetries; i += 1) {
+    if (this.execAsync === AsyncNode.prototype.execAsync && hasExecStream(this)) {
+      return drainStream(this._execStream(prepRes), chunkRecorder(this));
+    }
+    const runSignal = this.signal;
+    this.lastError = null;
+    for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry += 1) {
+      AbortError.throwIfAborted(runSignal);
+      const deadline = this._deadline(runSignal);
+      this.signal = deadline.signal;
       try {
-        return await this.execAsync(prepRes);
+        return await raceSignal(this.execAsync(prepRes), this.signal);
       } catch (err) {
-        if (i === this.maxRetries - 1) {
-          return this.execFallbackAsync(prepRes, err);
-        }
-        if (this.wait > 0) {
-          await new Promise((res) => setTimeout(res, this.wait));
-        }
+        if (err instanceof AbortError || err instanceof SuspendRun) throw err;
+        AbortError.throwIfAborted(runSignal);
+        const delay = retryDelay(this, err);
+        if (delay === null) return this.execFallbackAsync(prepRes, err);
+        if (delay > 0) await sleep(delay, runSignal);
+      } finally {
+        deadline.clear();
+        this.signal = runSignal;
       }
     }
     return undefined;
   }
 
+  async *_execStream(prepRes) {
+    if (!hasExecStream(this)) return await this._exec(prepRes);
+    const runSignal = this.signal;
+    this.lastError = null;
+    for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry += 1) {
+      const deadline = this._deadline(runSignal);
+      this.signal = deadline.signal;
+      try {
+        return yield* collectStream(this, prepRes);
+      } catch (err) {
+        if (err instanceof AbortError || err instanceof SuspendRun) throw err;
+        AbortError.throwIfAborted(runSignal);
+        const delay = retryDelay(this, err);
+        if (delay === null) return await this.execFallbackAsync(prepRes, err);
+        if (delay > 0) await sleep(delay, runSignal);
+      } finally {
+        deadline.clear();
+        this.signal = runSignal;
+      }
+    }
+    return undefined;
+  }
+
+  // Each exec attempt runs under its own signal that also fires on timeout,
+  // so LLM calls and tools reading this.signal stop with the attempt.
+  _deadline(runSignal) {
+    return TimeoutError.deadline(this.timeout, { node: nodeName(this), step: this.stepName }, runSignal);
+  }
+
   async _runAsync(shared) {
     const p = await this.prepAsync(shared);
-    const e = await this._exec(p);
-    return this.postAsync(shared, p, e);
+    try {
+      const e = await this._exec(p);
+      return await this.postAsync(shared, p, e);
+    } catch (err) {
+      if (err instanceof AbortError) await this.onAbort(shared, p, err);
+      throw err;
+    }
+  }
+
+  async *_runStream(shared) {
+    const p = await this.prepAsync(shared);
+    try {
+      const e = yield* tagStream(this, this._execStream(p));
+      return await this.postAsync(shared, p, e);
+    } catch (err) {
+      if (err instanceof AbortError) await this.onAbort(shared, p, err);
+      throw err;
+    }
   }
 
-  async runAsync(shared = {}) {
+  // Each run works on a copy, so concurrent runs keep their own signal and
+  // retry state.
+  async runAsync(shared = {}, { signal = null } = {}) {
     if (this.successors.size) {
       console.warn('Node won\'t run successors. Use AsyncFlow.');
     }
-    return this._runAsync(shared);
+    return Object.assign(shallowClone(this), { signal })._runAsync(shared);
+  }
+
+  runStream(shared = {}, { signal = null } = {}) {
+    if (this.successors.size) {
+      console.warn('Node won\'t run successors. Use AsyncFlow.');
+    }
+    return Object.assign(shallowClone(this), { signal })._runStream(shared);
   }
 
   
@@ -199,7 +920,12 @@ class AsyncNode extends Node {
 }
 
 // AsyncBatchNode ---------------------------------------------------------------
+// Batch nodes get their items from prep, so without one there is nothing to run.
 class AsyncBatchNode extends AsyncNode {
+  async prepAsync(shared) {
+    return [];
+  }
+
   async _exec(items = []) {
     const results = [];
     for (const item of items) {
@@ -207,38 +933,384 @@ class AsyncBatchNode extends AsyncNode {
     }
     return results;
   }
+
+  async *_execStream(items = []) {
+    const results = [];
+    for (const item of items) {
+      results.push(yield* super._execStream(item));
+    }
+    return results;
+  }
 }
 
+// Items run on clones so retry counters and per-attempt signals don't clash.
 class AsyncParallelBatchNode extends AsyncNode {
+  async prepAsync(shared) {
+    return [];
+  }
+
   async _exec(items = []) {
-    return Promise.all(items.map((item) => super._exec(item)));
+    return Promise.all(items.map((item) => AsyncNode.prototype._exec.call(shallowClone(this), item)));
+  }
+
+  async *_execStream(items = []) {
+    return yield* mergeStreams(items.map((item) => (
+      AsyncNode.prototype._execStream.call(shallowClone(this), item)
+    )));
   }
 }
 
 class AsyncFlow extends Flow {
-  async _orchAsync(shared, params = null) {
-    let curr = shallowClone(this.startNode);
+  constructor(start = null) {
+    super(start);
+    this.checkpointStore = null;
+    this.runLog = null;
+    this.runId = null;
+    this.runRecorder = null; // passed to the nodes of the current run
+    this.tracer = null;
+    this.traceSpan = null; // span of the current run, or of this flow when nested
+    this.resumeState = null; // resumeState of the checkpoint being resumed
+  }
+
+  // Record progress after every node so the run can be resumed later.
+  setCheckpointStore(store) {
+    this.checkpointStore = store;
+    return this;
+  }
+
+  // Append the events of every run (nodes, chunks, actions, retries, errors) to a sink.
+  setRunLog(sink) {
+    this.runLog = sink;
+    return this;
+  }
+
+  // Trace every run with nested spans for its nodes, steps, LLM and tool calls.
+  setTracer(tracer) {
+    this.tracer = tracer;
+    return this;
+  }
+
+  async prepAsync(shared) {
+    return shared;
+  }
+
+  // Where to start: the start node, or the successor of the last node a
+  // checkpoint recorded as completed.
+  _resumePoint(checkpoint) {
+    if (!checkpoint || !checkpoint.nodeId) {
+      return { node: this.startNode, action: null };
+    }
+    const ids = this._nodeIds();
+    const last = Array.from(ids.keys()).find((node) => ids.get(node) === checkpoint.nodeId);
+    if (!last) {
+      throw new Error(`Cannot resume run ${checkpoint.runId}: node '${checkpoint.nodeId}' is not part of this flow`);
+    }
+    return { node: this.getNextNode(last, checkpoint.action) || null, action: checkpoint.action };
+  }
+
+  async _saveCheckpoint(shared, node, action, status = 'running') {
+    if (!this.checkpointStore || !this.runId) return;
+    await this.checkpointStore.save(this.runId, {
+      runId: this.runId,
+      status,
+      nodeId: node ? this._nodeIds().get(node) : null,
+      action: action ?? null,
+      shared: snapshotShared(shared),
+      error: null,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  // Save the run as waiting for input. Without a store (or inside a nested
+  // flow) the SuspendRun keeps propagating to the flow that owns the run.
+  async _suspendCheckpoint(shared, err) {
+    if (!this.checkpointStore || !this.runId) return null;
+    const { expiresIn = null, ...request } = err.request;
+    const now = Date.now();
+    const input = {
+      ...request,
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: expiresIn ? new Date(now + expiresIn).toISOString() : null,
+    };
+    const checkpoint = await this.checkpointStore.load(this.runId);
+    await this.checkpointStore.save(this.runId, {
+      runId: this.runId,
+      nodeId: null,
+      action: null,
+      ...checkpoint,
+      status: 'awaiting_input',
+      shared: snapshotShared(shared),
+      input,
+      resumeState: err.state,
+      error: null,
+      updatedAt: new Date(now).toISOString(),
+    });
+    const suspended = { status: 'awaiting_input', runId: this.runId, input };
+    await this.onAwaitingInput(suspended);
+    return suspended;
+  }
+
+  async _finishCheckpoint(status, err = null) {
+    if (!this.checkpointStore || !this.runId) return;
+    const checkpoint = await this.checkpointStore.load(this.runId);
+    if (!checkpoint) return;
+    await this.checkpointStore.save(this.runId, {
+      ...checkpoint,
+      status,
+      error: err ? err.message : null,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  _startNodeSpan(node) {
+    return this.traceSpan?.startChild(`node ${nodeName(node)}`, {
+      attributes: { 'skingflow.node': nodeName(node) }
+    }) ?? null;
+  }
+
+  async _orchAsync(shared, params = null, checkpoint = null) {
+    let { node, action: lastAction } = this._resumePoint(checkpoint);
+    let curr = shallowClone(node);
     const combinedParams = params || { ...this.params };
-    let lastAction = null;
 
     while (curr) {
+      AbortError.throwIfAborted(this.signal);
       curr.setParams(combinedParams);
-      
-      lastAction = curr instanceof AsyncNode ? await curr._runAsync(shared) : curr._run(shared);
-      curr = shallowClone(this.getNextNode(curr, lastAction));
+      curr.signal = this.signal;
+      curr.runRecorder = this.runRecorder;
+      curr.traceSpan = this._startNodeSpan(curr);
+      this.runRecorder?.record('node_started', { node: nodeName(curr) });
+
+      try {
+        lastAction = typeof curr._runAsync === 'function' ? await curr._runAsync(shared) : curr._run(shared);
+      } catch (err) {
+        curr.traceSpan?.end(err instanceof SuspendRun ? null : err);
+        throw err;
+      }
+      curr.traceSpan?.setAttribute('skingflow.action', lastAction).end();
+      this.runRecorder?.record('action', { node: nodeName(curr), action: lastAction ?? null });
+      await this._saveCheckpoint(shared, node, lastAction);
+      node = this.getNextNode(curr, lastAction);
+      curr = shallowClone(node);
     }
     return lastAction;
   }
 
-  async _runAsync(shared) {
+  async *_orchStream(shared, params = null, checkpoint = null) {
+    let { node, action: lastAction } = this._resumePoint(checkpoint);
+    let curr = shallowClone(node);
+    const combinedParams = params || { ...this.params };
+
+    while (curr) {
+      AbortError.throwIfAborted(this.signal);
+      curr.setParams(combinedParams);
+      curr.signal = this.signal;
+      curr.runRecorder = this.runRecorder;
+      curr.traceSpan = this._startNodeSpan(curr);
+      this.runRecorder?.record('node_started', { node: nodeName(curr) });
+
+      try {
+        lastAction = typeof curr._runStream === 'function' ? yield* curr._runStream(shared) : curr._run(shared);
+      } catch (err) {
+        curr.traceSpan?.end(err instanceof SuspendRun ? null : err);
+        throw err;
+      }
+      curr.traceSpan?.setAttribute('skingflow.action', lastAction).end();
+      this.runRecorder?.record('action', { node: nodeName(curr), action: lastAction ?? null });
+      await this._saveCheckpoint(shared, node, lastAction);
+      node = this.getNextNode(curr, lastAction);
+      curr = shallowClone(node);
+    }
+    return lastAction;
+  }
+
+  // Flows without a start node behave like a single node (e.g. ChatFlow,
+  // FlowOrchestrator) and run their own execAsyncStream.
+  async _runAsync(shared, checkpoint = null) {
+    const p = await this.prepAsync(shared);
+    this.resumeState = checkpoint?.resumeState ?? null;
+    try {
+      const o = !this.startNode && hasExecStream(this)
+        ? await drainStream(collectStream(this, p), chunkRecorder(this))
+        : await this._orchAsync(shared, null, checkpoint);
+      const result = await this.postAsync(shared, p, o);
+      await this._finishCheckpoint('completed');
+      return result;
+    } catch (err) {
+      if (err instanceof SuspendRun) {
+        const suspended = await this._suspendCheckpoint(shared, err);
+        if (suspended) return suspended;
+        throw err;
+      }
+      if (err instanceof AbortError) await this.onAbort(shared, p, err);
+      await this._finishCheckpoint('failed', err);
+      throw err;
+    }
+  }
+
+  async *_runStream(shared, checkpoint = null) {
     const p = await this.prepAsync(shared);
-    const o = await this._orchAsync(shared);
-    return this.postAsync(shared, p, o);
+    this.resumeState = checkpoint?.resumeState ?? null;
+    try {
+      const o = !this.startNode && hasExecStream(this)
+        ? yield* tagStream(this, collectStream(this, p))
+        : yield* this._orchStream(shared, null, checkpoint);
+      const result = await this.postAsync(shared, p, o);
+      await this._finishCheckpoint('completed');
+      return result;
+    } catch (err) {
+      if (err instanceof SuspendRun) {
+        const suspended = await this._suspendCheckpoint(shared, err);
+        if (!suspended) throw err;
+        yield { node: nodeName(this), chunk: { type: 'awaiting_input', runId: suspended.runId, ...suspended.input } };
+        return suspended;
+      }
+      if (err instanceof AbortError) await this.onAbort(shared, p, err);
+      await this._finishCheckpoint('failed', err);
+      throw err;
+    }
+  }
+
+  _startRun(signal, runId) {
+    if (this.successors.size) {
+      console.warn('Flow won\'t run successors. Nest it in another AsyncFlow.');
+    }
+    this.signal = signal;
+    this.runId = this.checkpointStore || this.runLog
+      ? runId || `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      : null;
+  }
+
+  // `type` is run_started, or run_resumed for a run continued from a checkpoint.
+  // `traceParent` (a span or traceparent header) nests the run's span in an
+  // outer trace; without a tracer the run is only traced under a parent span.
+  _openRun(shared, type, traceParent = null) {
+    this.runRecorder = this.runLog ? new RunRecorder(this.runLog, this.runId, shared) : null;
+    this.runRecorder?.record(type, { flow: nodeName(this) });
+
+    const name = `flow ${nodeName(this)}`;
+    const options = { attributes: { 'skingflow.flow': nodeName(this), 'skingflow.run_id': this.runId, 'skingflow.run_type': type } };
+    this.traceSpan = this.tracer
+      ? this.tracer.startSpan(name, { ...options, parent: traceParent })
+      : traceParent?.startChild?.(name, options) ?? null;
   }
 
+  _closeRun(result, err = null) {
+    const span = this.traceSpan;
+    if (err) {
+      this.runRecorder?.fail(err);
+      span?.end(err);
+    } else {
+      this.runRecorder?.finish(result, this.runId);
+      span?.setAttribute('skingflow.status', result?.status === 'awaiting_input' ? 'awaiting_input' : 'completed').end();
+    }
+  }
+
+  async _trackRun(run) {
+    if (!this.runRecorder && !this.traceSpan) return run;
+    try {
+      const result = await run;
+      this._closeRun(result);
+      return result;
+    } catch (err) {
+      this._closeRun(null, err);
+      throw err;
+    } finally {
+      await this.runRecorder?.flush();
+    }
+  }
+
+  async *_trackStream(stream) {
+    const recorder = this.runRecorder;
+    if (!recorder && !this.traceSpan) return yield* stream;
+    let step;
+    try {
+      step = await stream.next();
+      while (!step.done) {
+        recorder?.record('chunk', step.value, false);
+        yield step.value;
+        step = await stream.next();
+      }
+      this._closeRun(step.value);
+      return step.value;
+    } catch (err) {
+      this._closeRun(null, err);
+      throw err;
+    } finally {
+      // Consumer stopped early: close the run's stream as well.
+      if (step && !step.done) {
+        await stream.return();
+        this.traceSpan?.setAttribute('skingflow.status', 'cancelled').end();
+      }
+      await recorder?.flush();
+    }
+  }
+
+  // Every run works on its own copy of the flow, which holds the run's
+  // signal, id, recorder and span, so concurrent runs of one flow don't mix.
+  _forRun(signal, runId) {
+    const run = shallowClone(this);
+    run._startRun(signal, runId);
+    return run;
+  }
+
+  async runAsync(shared = {}, { signal = null, runId = null, traceParent = null } = {}) {
+    const run = this._forRun(signal, runId);
+    run._openRun(shared, 'run_started', traceParent);
+    await run._saveCheckpoint(shared, null, null);
+    return run._trackRun(run._runAsync(shared));
+  }
+
+  async *stream(shared = {}, { signal = null, runId = null, traceParent = null } = {}) {
+    const run = this._forRun(signal, runId);
+    run._openRun(shared, 'run_started', traceParent);
+    await run._saveCheckpoint(shared, null, null);
+    return yield* run._trackStream(run._runStream(shared));
+  }
+
+  // Continue a checkpointed run after the last node it completed. A run
+  // awaiting input gets the response (or, once expired, the default).
+  async _loadRun(runId, response) {
+    if (!this.checkpointStore) {
+      throw new Error('Cannot resume without a checkpoint store. Call setCheckpointStore() first.');
+    }
+    const checkpoint = await this.checkpointStore.load(runId);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for run ${runId}`);
+    }
+    if (checkpoint.status === 'completed') {
+      throw new Error(`Run ${runId} already completed`);
+    }
+    if (checkpoint.status === 'awaiting_input') {
+      checkpoint.shared[checkpoint.input.key] = inputResponse(checkpoint, response);
+    } else if (response !== undefined) {
+      throw new Error(`Run ${runId} is not awaiting input`);
+    }
+    return checkpoint;
+  }
+
+  async resume(runId, { signal = null, response, traceParent = null } = {}) {
+    const checkpoint = await this._loadRun(runId, response);
+    const run = this._forRun(signal, runId);
+    run._openRun(checkpoint.shared, 'run_resumed', traceParent);
+    return run._trackRun(run._runAsync(checkpoint.shared, checkpoint));
+  }
+
+  async *resumeStream(runId, { signal = null, response, traceParent = null } = {}) {
+    const checkpoint = await this._loadRun(runId, response);
+    const run = this._forRun(signal, runId);
+    run._openRun(checkpoint.shared, 'run_resumed', traceParent);
+    return yield* run._trackStream(run._runStream(checkpoint.shared, checkpoint));
+  }
+
+  // Called after a run is saved as 'awaiting_input'.
+  async onAwaitingInput(suspended) {}
+
   async postAsync(shared, prepRes, execRes) {
     return execRes;
   }
+
+  async onAbort(shared, prepRes, err) {}
   
   _run() {
     throw new Error('Use runAsync().');
@@ -247,6 +1319,12 @@ class AsyncFlow extends Flow {
 
 
 class AsyncBatchFlow extends AsyncFlow {
+  async prepAsync(shared) {}
+
+  setCheckpointStore() {
+    throw new Error('Checkpoints are not supported for batch flows');
+  }
+
   async _runAsync(shared) {
     const pr = (await this.prepAsync(shared)) || [];
     for (const bp of pr) {
@@ -254,17 +1332,151 @@ class AsyncBatchFlow extends AsyncFlow {
     }
     return this.postAsync(shared, pr, null);
   }
+
+  async *_runStream(shared) {
+    const pr = (await this.prepAsync(shared)) || [];
+    for (const bp of pr) {
+      yield* this._orchStream(shared, { ...this.params, ...bp });
+    }
+    return this.postAsync(shared, pr, null);
+  }
 }
 
 class AsyncParallelBatchFlow extends AsyncFlow {
+  async prepAsync(shared) {}
+
+  setCheckpointStore() {
+    throw new Error('Checkpoints are not supported for batch flows');
+  }
+
   async _runAsync(shared) {
     const pr = (await this.prepAsync(shared)) || [];
     await Promise.all(pr.map((bp) => this._orchAsync(shared, { ...this.params, ...bp })));
     return this.postAsync(shared, pr, null);
   }
+
+  async *_runStream(shared) {
+    const pr = (await this.prepAsync(shared)) || [];
+    yield* mergeStreams(pr.map((bp) => this._orchStream(shared, { ...this.params, ...bp })));
+    return this.postAsync(shared, pr, null);
+  }
+}
+
+// ParallelNode -----------------------------------------------------------------
+// Fans out to several branches and joins them again. Each branch is a chain
+// of nodes followed through its actions like a small flow; all of them start
+// at once, on `shared` itself or, with `clone: true`, on a structuredClone of
+// it. Once every branch (or `quorum` of them) has finished, the others are
+// cancelled and shared[resultKey] holds one outcome per branch, in order:
+// { branch, status: 'completed' | 'failed' | 'cancelled', action, error }, plus
+// the branch's own `shared` copy when cloning. The node then continues to its
+// successor, usually the join node.
+class ParallelNode extends AsyncNode {
+  constructor(branches = [], { quorum = null, clone = false, resultKey = 'branches', ...options } = {}) {
+    super(options);
+    this.branches = branches;
+    this.quorum = quorum; // branches that must complete, null = all
+    this.clone = clone;
+    this.resultKey = resultKey;
+  }
+
+  join(node) {
+    return this.next(node);
+  }
+
+  async _runAsync(shared) {
+    return drainStream(this._runStream(shared), chunkRecorder(this, true));
+  }
+
+  async *_runStream(shared) {
+    const needed = this.quorum ?? this.branches.length;
+    if (needed > this.branches.length) {
+      throw new Error(`Quorum of ${needed} needs more than the ${this.branches.length} branches`);
+    }
+    const prepRes = await this.prepAsync(shared);
+    // Cancels the branches still running once the join no longer needs them
+    const controller = new AbortController();
+    const signal = this.signal ? AbortSignal.any([this.signal, controller.signal]) : controller.signal;
+
+    // Without cloning every branch works on `shared` itself, which must not
+    // end up inside its own outcomes
+    const scopes = this.branches.map(() => (this.clone ? structuredClone(shared) : shared));
+    const outcomes = this.branches.map((start, index) => ({
+      branch: nodeName(start),
+      index,
+      status: 'running',
+      action: null,
+      error: null,
+      ...(this.clone ? { shared: scopes[index] } : {}),
+    }));
+    const flows = this.branches.map((start, i) => Object.assign(new AsyncFlow(start), {
+      params: this.params,
+      signal,
+      runRecorder: this.runRecorder,
+      traceSpan: this.traceSpan?.startChild(`branch ${outcomes[i].branch}`, {
+        attributes: { 'skingflow.branch': outcomes[i].branch, 'skingflow.branch.index': i },
+      }) ?? null,
+    }));
+    const streams = flows.map((flow, i) => flow._orchStream(scopes[i]));
+    const pending = new Map();
+    const pull = (i) => streams[i].next().then((step) => ({ i, step }), (error) => ({ i, error }));
+    streams.forEach((_, i) => pending.set(i, pull(i)));
+
+    const settle = (i, status, { action = null, error = null } = {}) => {
+      Object.assign(outcomes[i], { status, action: action ?? null, error });
+      const span = flows[i].traceSpan;
+      if (status === 'failed') span?.end(error);
+      else span?.setAttributes({ 'skingflow.status': status, 'skingflow.action': action }).end();
+    };
+    let completed = 0;
+    let failed = 0;
+
+    try {
+      while (pending.size && completed < needed) {
+        const { i, step, error } = await Promise.race(pending.values());
+        if (!error && !step.done) {
+          pending.set(i, pull(i));
+          yield step.value;
+          continue;
+        }
+        pending.delete(i);
+        if (!error) {
+          completed++;
+          settle(i, 'completed', { action: step.value });
+          continue;
+        }
+        // Cancellation and suspension belong to the whole run
+        if (error instanceof SuspendRun || this.signal?.aborted) throw error;
+        failed++;
+        settle(i, 'failed', { error });
+        if (this.branches.length - failed < needed) {
+          throw new AggregateError(
+            outcomes.filter((outcome) => outcome.error).map((outcome) => outcome.error),
+            `Only ${this.branches.length - failed} of ${this.branches.length} branches can complete; ${needed} needed`,
+          );
+        }
+      }
+    } finally {
+      if (pending.size) {
+        controller.abort();
+        for (const { i, step, error } of await Promise.all(pending.values())) {
+          if (step && !step.done) await streams[i].return();
+          if (step?.done) settle(i, 'completed', { action: step.value });
+          else settle(i, 'cancelled', { error: error ?? null });
+        }
+      }
+    }
+
+    shared[this.resultKey] = outcomes;
+    return await this.postAsync(shared, prepRes, outcomes);
+  }
 }
 
 export {
+  AbortError,
+  TimeoutError,
+  SuspendRun,
+  RetryPolicy,
   BaseNode,
   Node,
   BatchNode,
@@ -276,4 +1488,5 @@ export {
   AsyncFlow,
   AsyncBatchFlow,
   AsyncParallelBatchFlow,
+  ParallelNode,
 };
\ No newline at end of file
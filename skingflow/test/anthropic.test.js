@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnthropicProvider } from '../lib/core/llm.js';
+
+function provider(chunks = []) {
+  const llm = new AnthropicProvider({ provider: 'anthropic', model: 'claude-sonnet-4', apiKey: 'test' });
+  llm.initialized = true;
+  llm.requests = [];
+  llm.client = {
+    messages: {
+      create: async (params) => {
+        llm.requests.push(params);
+        return (async function* () { yield* chunks; })();
+      }
+    }
+  };
+  return llm;
+}
+
+test('AnthropicProvider sends history with malformed tool arguments', async () => {
+  const llm = provider([{ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'ok' } }]);
+  const messages = [
+    { role: 'user', content: 'weather?' },
+    { role: 'assistant', content: '', tool_calls: [
+      { id: 'a', type: 'function', function: { name: 'weather', arguments: '{"city": "Par' } },
+      { id: 'b', type: 'function', function: { name: 'time', arguments: '' } }
+    ] },
+    { role: 'tool', tool_call_id: 'a', content: 'Error: Invalid tool call arguments' },
+    { role: 'tool', tool_call_id: 'b', content: '12:00' }
+  ];
+
+  assert.equal(await llm.complete(messages), 'ok');
+  const [assistant, results] = llm.requests[0].messages.slice(1);
+  assert.deepEqual(assistant.content.map(block => block.input), [{}, {}]);
+  assert.deepEqual(results.content.map(block => block.tool_use_id), ['a', 'b']);
+});
+
+test('AnthropicProvider assembles streamed tool_use blocks', async () => {
+  const llm = provider([
+    { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+    { type: 'content_block_stop', index: 0 }
+  ]);
+
+  const events = [];
+  for await (const chunk of llm.stream('weather?')) events.push(chunk);
+  assert.deepEqual(events, [{ type: 'tool_call', id: 'toolu_1', name: 'weather', arguments: { city: 'Paris' } }]);
+});
+
+test('AnthropicProvider only streams text from text deltas', async () => {
+  const llm = provider([
+    { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me see' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'abc' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: '' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Sunny' } }
+  ]);
+
+  const events = [];
+  for await (const chunk of llm.stream('weather?')) events.push(chunk);
+  assert.deepEqual(events, ['Sunny']);
+});
+
+test('AnthropicProvider reports usage including prompt-cache tokens', async () => {
+  const llm = provider([
+    { type: 'message_start', message: { usage: { input_tokens: 10, cache_read_input_tokens: 1000, cache_creation_input_tokens: 200 } } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'ok' } },
+    { type: 'message_delta', usage: { output_tokens: 3 } }
+  ]);
+  const usages = [];
+  llm.on('usage', (usage) => usages.push(usage));
+
+  await llm.complete('hi');
+  assert.deepEqual(usages, [{
+    provider: 'anthropic',
+    model: 'claude-sonnet-4',
+    inputTokens: 1210,
+    outputTokens: 3,
+    cachedTokens: 1000,
+    estimated: false,
+    cost: (210 * 3 + 1000 * 0.3 + 3 * 15) / 1e6
+  }]);
+});
+
+test('AnthropicProvider estimates usage the stream does not report', async () => {
+  const llm = provider([{ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'abcdefgh' } }]);
+  const usages = [];
+
+  await llm.complete('abcd', { onUsage: (usage) => usages.push(usage) });
+  assert.equal(usages[0].estimated, true);
+  assert.equal(usages[0].inputTokens, 5);
+  assert.equal(usages[0].outputTokens, 2);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncBatchNode, AsyncParallelBatchNode } from '../skingflow.js';
+
+for (const BatchNode of [AsyncBatchNode, AsyncParallelBatchNode]) {
+  class Doubler extends BatchNode {
+    async execAsync(item) {
+      return item * 2;
+    }
+
+    async *execAsyncStream(item) {
+      yield item * 2;
+      return item * 2;
+    }
+
+    async postAsync(shared, prepRes, execRes) {
+      shared.results = execRes;
+    }
+  }
+
+  test(`${BatchNode.name} without prep runs no items`, async () => {
+    const shared = { input: 'not a list' };
+    await new Doubler().runAsync(shared);
+    assert.deepEqual(shared.results, []);
+
+    const chunks = [];
+    for await (const chunk of new Doubler().runStream(shared)) chunks.push(chunk);
+    assert.deepEqual(chunks, []);
+    assert.deepEqual(shared.results, []);
+  });
+
+  test(`${BatchNode.name} runs the items its prep returns`, async () => {
+    class ListDoubler extends Doubler {
+      async prepAsync(shared) {
+        return shared.numbers;
+      }
+    }
+
+    const shared = { numbers: [1, 2, 3] };
+    await new ListDoubler().runAsync(shared);
+    assert.deepEqual(shared.results, [2, 4, 6]);
+  });
+}
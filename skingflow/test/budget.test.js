@@ -0,0 +1,132 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIProvider, AnthropicProvider, HTTPProvider, OllamaProvider } from '../lib/core/llm.js';
+import { BudgetPolicy } from '../lib/core/budget.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// A budget that leaves room for about 100 output tokens
+const truncating = () => new BudgetPolicy({ perRequest: { tokens: 105 }, mode: 'truncate' });
+
+async function drain(stream) {
+  for await (const chunk of stream) void chunk;
+}
+
+// Client that records the request and streams nothing back
+function fakeClient(llm) {
+  llm.initialized = true;
+  const create = async (params) => {
+    llm.request = params;
+    return (async function* () {})();
+  };
+  llm.client = { chat: { completions: { create } }, messages: { create } };
+  return llm;
+}
+
+function fakeFetch() {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return { ok: true, body: { getReader: () => ({ read: async () => ({ done: true }) }) } };
+  };
+  return requests;
+}
+
+test('OpenAIProvider sends the truncated limit as max_tokens', async () => {
+  const llm = fakeClient(new OpenAIProvider({ provider: 'openai', model: 'gpt-4o', apiKey: 'test' }));
+  llm.setBudget(truncating());
+  await drain(llm.stream('hi'));
+  assert.ok(llm.request.max_tokens < 105);
+});
+
+test('AnthropicProvider sends the truncated limit as max_tokens', async () => {
+  const llm = fakeClient(new AnthropicProvider({ provider: 'anthropic', model: 'claude-sonnet-4', apiKey: 'test' }));
+  llm.setBudget(truncating());
+  await drain(llm.stream('hi'));
+  assert.ok(llm.request.max_tokens < 105);
+});
+
+test('HTTPProvider sends the truncated limit as max_tokens', async () => {
+  const requests = fakeFetch();
+  const llm = new HTTPProvider({ provider: 'http', baseUrl: 'http://localhost/v1/chat/completions' });
+  llm.setBudget(truncating());
+  await drain(llm.stream('hi'));
+  assert.ok(requests[0].max_tokens < 105);
+});
+
+test('OllamaProvider sends the truncated limit as options.num_predict', async () => {
+  const requests = fakeFetch();
+  const llm = new OllamaProvider({ provider: 'ollama', model: 'llama3', custom: { options: { temperature: 0.2 } } });
+  llm.setBudget(truncating());
+  await drain(llm.stream('hi'));
+  assert.ok(requests[0].options.num_predict < 105);
+  assert.equal(requests[0].options.temperature, 0.2);
+});
+
+test('BudgetPolicy holds authorized requests against the limits until they report usage', () => {
+  const budget = new BudgetPolicy({ perSession: { tokens: 300 } });
+  const scope = { sessionId: 's1' };
+
+  const first = budget.authorize({ inputTokens: 10, outputTokens: 200 }, scope);
+  assert.equal(first.maxTokens, 200);
+  assert.deepEqual(budget.remaining(scope), { tokens: 90, cost: null });
+  assert.throws(() => budget.authorize({ inputTokens: 10, outputTokens: 200 }, scope), { name: 'BudgetExceededError' });
+
+  budget.record({ inputTokens: 10, outputTokens: 40 }, scope, first.reservation);
+  assert.deepEqual(budget.remaining(scope), { tokens: 250, cost: null });
+
+  const second = budget.authorize({ inputTokens: 10, outputTokens: 200 }, scope);
+  budget.release(second.reservation);
+  budget.release(second.reservation);
+  assert.deepEqual(budget.remaining(scope), { tokens: 250, cost: null });
+});
+
+test('LLMProvider frees the reservation of a request that failed', async () => {
+  const budget = new BudgetPolicy({ perSession: { tokens: 5000 } });
+  const llm = new OpenAIProvider({ provider: 'openai', model: 'gpt-4o', apiKey: 'test' }).setBudget(budget);
+  llm.initialized = true;
+  llm.client = { chat: { completions: { create: async () => { throw new Error('connection refused'); } } } };
+
+  await assert.rejects(drain(llm.stream('hi', { budgetScope: { sessionId: 's1' } })), /connection refused/);
+  assert.equal(budget.reservations.size, 0);
+  assert.deepEqual(budget.remaining({ sessionId: 's1' }), { tokens: 5000, cost: null });
+});
+
+test('BudgetPolicy forgets reset and least recently charged sessions', () => {
+  const budget = new BudgetPolicy({ perSession: { tokens: 1000 }, maxSessions: 2 });
+  const usage = { inputTokens: 100, outputTokens: 0 };
+  budget.record(usage, { sessionId: 'a' });
+  budget.record(usage, { sessionId: 'b' });
+  budget.record(usage, { sessionId: 'a' });
+  budget.record(usage, { sessionId: 'c' });
+
+  assert.equal(budget.remaining({ sessionId: 'a' }).tokens, 800);
+  assert.equal(budget.remaining({ sessionId: 'b' }).tokens, 1000);
+  assert.equal(budget.remaining({ sessionId: 'c' }).tokens, 900);
+
+  budget.resetSession('a');
+  assert.equal(budget.remaining({ sessionId: 'a' }).tokens, 1000);
+});
+
+test('BudgetPolicy holds its maxTokens for requests without outputTokens', () => {
+  const budget = new BudgetPolicy({ perUserDaily: { tokens: 1000 }, maxTokens: 500 });
+  const scope = { userId: 'u1' };
+
+  const { maxTokens } = budget.authorize({ inputTokens: 100 }, scope);
+  assert.equal(maxTokens, 500);
+  assert.deepEqual(budget.remaining(scope), { tokens: 400, cost: null });
+  assert.throws(() => budget.authorize({ inputTokens: 100 }, scope), { name: 'BudgetExceededError' });
+});
+
+test('BudgetPolicy charges anonymous requests to a window no user shares', () => {
+  const budget = new BudgetPolicy({ perUserDaily: { tokens: 1000 } });
+  budget.record({ inputTokens: 300, outputTokens: 0 });
+  budget.record({ inputTokens: 100, outputTokens: 0 }, { sessionId: 's1' });
+
+  assert.equal(budget.remaining().tokens, 600);
+  assert.equal(budget.remaining({ userId: 'default' }).tokens, 1000);
+  assert.equal(budget.remaining({ userId: 'u1' }).tokens, 1000);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AsyncNode, AsyncFlow } from '../skingflow.js';
+import { MultiAgentWorkflow } from '../lib/multi-agent/index.js';
+
+// Waits, then reports whether its run was cancelled meanwhile
+class WaitNode extends AsyncNode {
+  constructor(name, ms) {
+    super();
+    this.name = name;
+    this.ms = ms;
+  }
+
+  async execAsync() {
+    await delay(this.ms);
+    return this.signal?.aborted ? 'aborted' : 'done';
+  }
+
+  async postAsync(shared, prepRes, execRes) {
+    shared[this.name] = execRes;
+  }
+}
+
+test('concurrent runs of one AsyncFlow keep their own signal', async () => {
+  const first = new WaitNode('first', 10);
+  first.next(new WaitNode('second', 50));
+  const flow = new AsyncFlow(first);
+
+  const controller = new AbortController();
+  const cancelled = flow.runAsync({}, { signal: controller.signal });
+  const other = {};
+  const running = flow.runAsync(other);
+  setTimeout(() => controller.abort(), 25);
+
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  await running;
+  assert.deepEqual(other, { first: 'done', second: 'done' });
+  assert.equal(flow.signal, null);
+});
+
+test('concurrent runs of one AsyncNode keep their own signal', async () => {
+  const node = new WaitNode('wait', 20);
+  const controller = new AbortController();
+  const shared = [{}, {}];
+
+  const cancelled = node.runAsync(shared[0], { signal: controller.signal });
+  const running = node.runAsync(shared[1]);
+  controller.abort();
+
+  await assert.rejects(cancelled, { name: 'AbortError' });
+  await running;
+  assert.deepEqual(shared[1], { wait: 'done' });
+});
+
+test('concurrent multi-agent workflow runs keep their own signal', async () => {
+  const seen = [];
+  const step = {
+    async *execAsyncStream() {
+      const signal = this.signal;
+      await delay(10);
+      seen.push(this.signal === signal ? signal : 'changed');
+    }
+  };
+  const workflow = new MultiAgentWorkflow(null, [{ step, config: {} }], {});
+
+  const first = new AbortController();
+  const second = new AbortController();
+  await Promise.all([
+    workflow.runAsync({}, { signal: first.signal }),
+    workflow.runAsync({}, { signal: second.signal })
+  ]);
+
+  assert.deepEqual(seen, [first.signal, second.signal]);
+  assert.equal(step.signal, undefined);
+});
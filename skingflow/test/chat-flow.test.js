@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatFlow } from '../lib/builders/index.js';
+import { OpenAIProvider, AnthropicProvider } from '../lib/core/llm.js';
+
+const weatherTool = { name: 'weather', description: 'Weather for a city', parameters: { type: 'object' } };
+
+// Provider whose client replays one scripted response per request
+function scripted(llm, responses) {
+  llm.initialized = true;
+  llm.requests = [];
+  const create = async (params) => {
+    llm.requests.push(structuredClone(params));
+    const chunks = responses[llm.requests.length - 1] || [];
+    return (async function* () { yield* chunks; })();
+  };
+  llm.client = { chat: { completions: { create } }, messages: { create } };
+  return llm;
+}
+
+function framework(llm) {
+  return {
+    llm,
+    tools: {
+      getOpenAIFunctions: () => [weatherTool],
+      execute: async (name, args) => `sunny in ${args.city}`
+    }
+  };
+}
+
+const openAIText = (text) => [{ choices: [{ delta: { content: text } }] }];
+const openAICall = (id, args) => [{
+  choices: [{ delta: { tool_calls: [{ index: 0, id, function: { name: 'weather', arguments: args } }] } }]
+}];
+
+test('ChatFlow answers from the last tool results when maxToolRounds is reached', async () => {
+  const llm = scripted(new OpenAIProvider({ provider: 'openai', model: 'gpt-4o', apiKey: 'test' }), [
+    openAICall('a', '{"city": "Par'),
+    openAICall('b', '{"city": "Paris"}'),
+    openAIText('Sunny in Paris')
+  ]);
+  const flow = new ChatFlow(framework(llm), { maxToolRounds: 2 });
+
+  const result = await flow.runAsync({ messages: 'Weather in Paris?' });
+
+  assert.equal(result.response, 'Sunny in Paris');
+  assert.equal(result.stopReason, 'max_tool_rounds');
+  assert.equal(result.toolRounds, 2);
+  assert.deepEqual(llm.requests.map(request => request.tool_choice), [undefined, undefined, 'none']);
+
+  // The malformed call is kept with {} arguments and answered with its error
+  const [, first, firstResult, second, secondResult, answer] = result.transcript;
+  assert.equal(first.tool_calls[0].function.arguments, '{}');
+  assert.match(firstResult.content, /^Error: Invalid tool call arguments/);
+  assert.equal(second.tool_calls[0].function.arguments, '{"city":"Paris"}');
+  assert.equal(secondResult.content, 'sunny in Paris');
+  assert.deepEqual(answer, { role: 'assistant', content: 'Sunny in Paris' });
+  assert.deepEqual(llm.requests[2].messages, result.transcript.slice(0, -1));
+});
+
+test('ChatFlow sends malformed tool arguments back to Anthropic as {}', async () => {
+  const llm = scripted(new AnthropicProvider({ provider: 'anthropic', model: 'claude-sonnet-4', apiKey: 'test' }), [
+    [
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"city": "Par' } },
+      { type: 'content_block_stop', index: 0 }
+    ],
+    [{ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Which city?' } }]
+  ]);
+  const flow = new ChatFlow(framework(llm));
+
+  const result = await flow.runAsync({ messages: 'Weather in Paris?' });
+
+  assert.equal(result.response, 'Which city?');
+  assert.equal(result.stopReason, 'final_answer');
+  const [, toolUse, toolResult] = llm.requests[1].messages;
+  assert.deepEqual(toolUse.content, [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} }]);
+  assert.match(toolResult.content[0].content, /^Error: Invalid tool call arguments/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AsyncNode, AsyncFlow } from '../skingflow.js';
+import {
+  InMemoryCheckpointStore,
+  FileCheckpointStore,
+  serializeCheckpoint,
+  deserializeCheckpoint
+} from '../lib/core/checkpoint.js';
+
+const richShared = () => ({
+  when: new Date('2025-01-06T09:00:00Z'),
+  counts: new Map([['a', 1n], [{ id: 1 }, new Set(['x'])]]),
+  tags: new Set(['urgent']),
+  big: 2n ** 64n,
+  literal: { $type: 'Date', value: 'not a date' },
+  list: [1, 'two', null]
+});
+
+async function withDirectory(fn) {
+  const directory = await mkdtemp(join(tmpdir(), 'skingflow-checkpoints-'));
+  try {
+    return await fn(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('serializeCheckpoint round-trips Maps, Sets, Dates and BigInts', () => {
+  const shared = richShared();
+  assert.deepEqual(deserializeCheckpoint(serializeCheckpoint({ shared })), { shared });
+});
+
+test('serializeCheckpoint names the path of values it cannot store', () => {
+  const tree = { parent: null };
+  tree.parent = tree;
+  assert.throws(() => serializeCheckpoint({ shared: { tree } }), {
+    name: 'CheckpointError',
+    path: 'checkpoint.shared.tree.parent',
+    message: 'Cannot save checkpoint checkpoint.shared.tree.parent: circular reference'
+  });
+  assert.throws(() => serializeCheckpoint({ shared: { list: [1, () => {}] } }), {
+    name: 'CheckpointError',
+    path: 'checkpoint.shared.list[1]'
+  });
+
+  // The same object twice is not a cycle
+  const config = { retries: 2 };
+  assert.deepEqual(deserializeCheckpoint(serializeCheckpoint({ a: config, b: config })), { a: config, b: config });
+});
+
+test('checkpoint stores save, load, list and delete copies', async () => {
+  await withDirectory(async (directory) => {
+    for (const store of [new InMemoryCheckpointStore(), new FileCheckpointStore(directory)]) {
+      const checkpoint = { runId: 'run/1', status: 'running', shared: richShared() };
+      await store.save('run/1', checkpoint);
+      checkpoint.shared.tags.add('changed');
+
+      const loaded = await store.load('run/1');
+      assert.deepEqual(loaded, { runId: 'run/1', status: 'running', shared: richShared() });
+      assert.deepEqual(await store.list(), ['run/1']);
+      assert.equal(await store.load('missing'), null);
+      assert.equal(await store.delete('run/1'), true);
+      assert.equal(await store.delete('run/1'), false);
+      assert.deepEqual(await store.list(), []);
+    }
+  });
+});
+
+test('FileCheckpointStore leaves the previous checkpoint when a save fails', async () => {
+  await withDirectory(async (directory) => {
+    const store = new FileCheckpointStore(directory);
+    await store.save('run', { shared: { step: 1 } });
+
+    const loop = {};
+    loop.self = loop;
+    await assert.rejects(store.save('run', { shared: { loop } }), { name: 'CheckpointError' });
+    assert.deepEqual(await store.load('run'), { shared: { step: 1 } });
+    assert.match(await readFile(join(directory, 'run.json'), 'utf-8'), /"step": 1/);
+  });
+});
+
+// Counts its runs in a Map and can crash once
+class CountNode extends AsyncNode {
+  constructor(name, crashes = { count: 0 }) {
+    super();
+    this.name = name;
+    this.crashes = crashes;
+  }
+
+  async postAsync(shared) {
+    if (this.crashes.count > 0) {
+      this.crashes.count--;
+      throw new Error(`${this.name} crashed`);
+    }
+    shared.runs.set(this.name, (shared.runs.get(this.name) || 0) + 1);
+    shared.lastRun = new Date(0);
+  }
+}
+
+test('a flow resumes after a crash from the node after the last checkpoint', async () => {
+  await withDirectory(async (directory) => {
+    const crashes = { count: 1 };
+    const build = () => {
+      const first = new CountNode('first');
+      first.next(new CountNode('second', crashes)).next(new CountNode('third'));
+      return new AsyncFlow(first).setCheckpointStore(new FileCheckpointStore(directory));
+    };
+
+    await assert.rejects(build().runAsync({ runs: new Map() }, { runId: 'nightly' }), /second crashed/);
+    const failed = await new FileCheckpointStore(directory).load('nightly');
+    assert.equal(failed.nodeId, 'first');
+    assert.deepEqual(failed.shared.runs, new Map([['first', 1]]));
+
+    // A new process: fresh flow, fresh store, same directory
+    await build().resume('nightly');
+    const finished = await new FileCheckpointStore(directory).load('nightly');
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.shared.runs, new Map([['first', 1], ['second', 1], ['third', 1]]));
+    assert.deepEqual(finished.shared.lastRun, new Date(0));
+  });
+});
+
+test('checkpointing a shared store holding a function fails the run clearly', async () => {
+  const flow = new AsyncFlow(new CountNode('only')).setCheckpointStore(new InMemoryCheckpointStore());
+  await assert.rejects(
+    flow.runAsync({ runs: new Map(), notify: () => {} }, { runId: 'run' }),
+    /Cannot checkpoint the shared store/
+  );
+});
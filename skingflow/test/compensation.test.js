@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AsyncNode } from '../skingflow.js';
+import { FlowOrchestrator } from '../lib/core/orchestration.js';
+
+// Appends its name to shared.log, or fails
+class LogNode extends AsyncNode {
+  constructor(name, { fail = false, ms = 0 } = {}) {
+    super();
+    this.name = name;
+    this.fail = fail;
+    this.ms = ms;
+  }
+
+  async execAsync(shared) {
+    if (this.ms) await delay(this.ms, null, { signal: this.signal ?? undefined });
+    shared.log.push(this.name);
+    if (this.fail) throw new Error(`${this.name} failed`);
+  }
+}
+
+const undo = (name) => async (shared, { step, error }) => {
+  shared.log.push(`undo ${name} (${step.id} after ${error.message})`);
+};
+
+test('a failed run compensates completed steps in reverse order', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('reserve'), { id: 'reserve', compensate: undo('reserve') })
+    .addStep(new LogNode('note'), { id: 'note' })
+    .addStep(new LogNode('charge'), { id: 'charge', compensate: new LogNode('refund') })
+    .addStep(new LogNode('ship', { fail: true }), { id: 'ship', compensate: undo('ship') });
+
+  const shared = { log: [] };
+  const error = await orchestrator.runAsync(shared).catch(e => e);
+
+  assert.equal(error.message, 'ship failed');
+  assert.deepEqual(shared.log, [
+    'reserve', 'note', 'charge', 'ship',
+    'refund',
+    'undo reserve (reserve after ship failed)'
+  ]);
+  assert.deepEqual(error.compensation, { error: 'ship failed', compensated: ['charge', 'reserve'], failed: [] });
+  assert.deepEqual(orchestrator.compensationReport, error.compensation);
+});
+
+test('a failing compensation is reported and the others still run', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', compensate: undo('a') })
+    .addStep(new LogNode('b'), { id: 'b', compensate: async () => { throw new Error('refund API down'); } })
+    .addStep(new LogNode('c', { fail: true }), { id: 'c' });
+
+  const shared = { log: [] };
+  const chunks = [];
+  try {
+    for await (const { chunk } of orchestrator.stream(shared)) chunks.push(chunk);
+    assert.fail('run should fail');
+  } catch (error) {
+    assert.deepEqual(error.compensation.compensated, ['a']);
+    assert.deepEqual(error.compensation.failed, [{ step: 'b', error: 'refund API down' }]);
+  }
+  assert.deepEqual(shared.log, ['a', 'b', 'c', 'undo a (a after c failed)']);
+  const text = chunks.filter(chunk => typeof chunk === 'string').join('');
+  assert.match(text, /Compensating 2 completed steps/);
+  assert.match(text, /Compensation for step b failed: refund API down/);
+  assert.match(text, /Compensation finished: 1 succeeded, 1 failed/);
+});
+
+test('nothing is compensated when a route handles the failure or compensate is off', async () => {
+  const routed = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', compensate: undo('a') })
+    .addStep(new LogNode('b', { fail: true }), { id: 'b', onFailure: 'continue' });
+  const shared = { log: [] };
+  await routed.runAsync(shared);
+  assert.deepEqual(shared.log, ['a', 'b']);
+  assert.equal(routed.compensationReport, null);
+
+  const disabled = new FlowOrchestrator({ compensate: false })
+    .addStep(new LogNode('a'), { id: 'a', compensate: undo('a') })
+    .addStep(new LogNode('b', { fail: true }), { id: 'b' });
+  const other = { log: [] };
+  const error = await disabled.runAsync(other).catch(e => e);
+  assert.equal(error.compensation, undefined);
+  assert.deepEqual(other.log, ['a', 'b']);
+});
+
+test('compensations still run after the run is cancelled', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', compensate: new LogNode('undo a') })
+    .addStep(new LogNode('slow', { ms: 1000 }), { id: 'slow' });
+
+  const controller = new AbortController();
+  const shared = { log: [] };
+  setTimeout(() => controller.abort(), 20);
+  const error = await orchestrator.runAsync(shared, { signal: controller.signal }).catch(e => e);
+
+  assert.equal(error.name, 'AbortError');
+  assert.deepEqual(shared.log, ['a', 'undo a']);
+  assert.deepEqual(error.compensation.compensated, ['a']);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AsyncNode } from '../skingflow.js';
+import { FlowOrchestrator, FlowStep } from '../lib/core/orchestration.js';
+import { HumanInputNode } from '../lib/core/human-input.js';
+
+// Records when it starts and finishes in shared.log; fails when told to
+class TaskNode extends AsyncNode {
+  constructor(name, { ms = 5, fail = false } = {}) {
+    super();
+    this.name = name;
+    this.ms = ms;
+    this.fail = fail;
+  }
+
+  async execAsync(shared) {
+    shared.log.push(`start ${this.name}`);
+    shared.running = (shared.running || 0) + 1;
+    shared.peak = Math.max(shared.peak || 0, shared.running);
+    await delay(this.ms);
+    shared.running--;
+    if (this.fail) throw new Error(`${this.name} failed`);
+    shared.log.push(`end ${this.name}`);
+  }
+}
+
+const statuses = (orchestrator) => Object.fromEntries(
+  Object.entries(orchestrator.getStepStatus()).map(([id, { status }]) => [id, status])
+);
+
+test('dag mode starts a step once its dependencies complete and runs the rest concurrently', async () => {
+  const orchestrator = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new TaskNode('report'), { id: 'report', dependsOn: 'join' })
+    .addStep(new TaskNode('join'), { id: 'join', dependsOn: ['users', 'orders'] })
+    .addStep(new TaskNode('users', { ms: 20 }), { id: 'users' })
+    .addStep(new TaskNode('orders', { ms: 5 }), { id: 'orders' });
+
+  const shared = { log: [] };
+  await orchestrator.runAsync(shared);
+
+  assert.deepEqual(shared.log, [
+    'start users', 'start orders', 'end orders', 'end users',
+    'start join', 'end join', 'start report', 'end report'
+  ]);
+  assert.equal(shared.peak, 2);
+  assert.deepEqual(statuses(orchestrator), { report: 'completed', join: 'completed', users: 'completed', orders: 'completed' });
+});
+
+test('dag mode keeps to maxConcurrency', async () => {
+  const orchestrator = new FlowOrchestrator({ mode: 'dag', maxConcurrency: 2 });
+  for (const id of ['a', 'b', 'c', 'd']) orchestrator.addStep(new TaskNode(id), { id });
+
+  const shared = { log: [] };
+  await orchestrator.runAsync(shared);
+  assert.equal(shared.peak, 2);
+  assert.equal(shared.log.length, 8);
+});
+
+test('a failed step skips its dependents unless it allows continue', async () => {
+  const orchestrator = new FlowOrchestrator({ mode: 'dag', stopOnError: false })
+    .addStep(new TaskNode('orders', { fail: true }), { id: 'orders' })
+    .addStep(new TaskNode('join'), { id: 'join', dependsOn: 'orders' })
+    .addStep(new TaskNode('report'), { id: 'report', dependsOn: 'join' })
+    .addStep(new TaskNode('audit', { fail: true }), { id: 'audit', onFailure: 'continue' })
+    .addStep(new TaskNode('archive'), { id: 'archive', dependsOn: 'audit' });
+
+  const shared = { log: [] };
+  await orchestrator.runAsync(shared);
+
+  assert.deepEqual(statuses(orchestrator), {
+    orders: 'failed', join: 'skipped', report: 'skipped', audit: 'failed', archive: 'completed'
+  });
+  assert.equal(orchestrator.getStepStatus().join.reason, "dependency 'orders' did not complete");
+});
+
+test('with stopOnError a failure starts no new steps and fails the run', async () => {
+  const orchestrator = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new TaskNode('fast', { ms: 1, fail: true }), { id: 'fast' })
+    .addStep(new TaskNode('slow', { ms: 20 }), { id: 'slow' })
+    .addStep(new TaskNode('after'), { id: 'after', dependsOn: 'slow' });
+
+  const shared = { log: [] };
+  await assert.rejects(orchestrator.runAsync(shared), /fast failed/);
+  assert.deepEqual(shared.log, ['start fast', 'start slow', 'end slow']);
+  assert.deepEqual(statuses(orchestrator), { fast: 'failed', slow: 'completed', after: 'skipped' });
+});
+
+test('dag mode rejects cycles, unknown dependencies and input steps before running', async () => {
+  const shared = { log: [] };
+  const cycle = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new TaskNode('a'), { id: 'a', dependsOn: 'b' })
+    .addStep(new TaskNode('b'), { id: 'b', dependsOn: 'a' });
+  await assert.rejects(cycle.runAsync(shared), /Step dependencies form a cycle: a, b/);
+
+  const missing = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new TaskNode('a'), { id: 'a', dependsOn: 'ghost' });
+  await assert.rejects(missing.runAsync(shared), /Step 'a' depends on unknown step 'ghost'/);
+
+  const input = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new TaskNode('a'), { id: 'a' })
+    .addParallel([new FlowStep({ id: 'approve', node: new HumanInputNode({ kind: 'approval', prompt: 'Ship it?' }) })]);
+  await assert.rejects(input.runAsync(shared), /Input steps are not supported in dag mode \(step 'approve'\)/);
+
+  assert.deepEqual(shared.log, []);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Expression,
+  compileExpression,
+  evaluateExpression,
+  renderTemplate
+} from '../lib/core/expression.js';
+import { FlowCondition, FlowLoop } from '../lib/core/orchestration.js';
+
+const shared = {
+  user: { name: 'Ada', roles: ['admin', 'dev'] },
+  results: { items: [{ title: 'first' }, { title: 'second' }] },
+  count: 4,
+  flags: { skip: false }
+};
+
+test('evaluateExpression reads dot and bracket paths', () => {
+  assert.equal(evaluateExpression('user.name', shared), 'Ada');
+  assert.equal(evaluateExpression('results.items[1].title', shared), 'second');
+  assert.equal(evaluateExpression("user['roles'][0]", shared), 'admin');
+  assert.equal(evaluateExpression('missing.deeply.nested', shared), undefined);
+});
+
+test('evaluateExpression applies operators with JavaScript precedence', () => {
+  assert.equal(evaluateExpression('1 + 2 * 3', {}), 7);
+  assert.equal(evaluateExpression('(1 + 2) * 3', {}), 9);
+  assert.equal(evaluateExpression('-count % 3', shared), -1);
+  assert.equal(evaluateExpression("count > 3 && !flags.skip ? 'many' : 'few'", shared), 'many');
+  assert.equal(evaluateExpression("flags.skip || 'fallback'", shared), 'fallback');
+  assert.equal(evaluateExpression("'a\\tb'", {}), 'a\tb');
+  assert.equal(evaluateExpression('[1, 2][1]', {}), 2);
+});
+
+test('== and != compare strictly', () => {
+  assert.equal(evaluateExpression("count == '4'", shared), false);
+  assert.equal(evaluateExpression('count == 4', shared), true);
+  assert.equal(evaluateExpression('missing != null', shared), true);
+});
+
+test('expressions call built-in and supplied functions only', () => {
+  assert.equal(evaluateExpression('length(results.items)', shared), 2);
+  assert.equal(evaluateExpression("contains(user.roles, 'dev')", shared), true);
+  assert.equal(evaluateExpression('double(count)', shared, { functions: { double: x => x * 2 } }), 8);
+  assert.throws(() => evaluateExpression('process(1)', shared), { name: 'ExpressionError', message: "Unknown function 'process'" });
+  assert.throws(() => evaluateExpression('user.name.toUpperCase()', shared), /Only built-in functions can be called/);
+});
+
+test('syntax errors report their position', () => {
+  assert.throws(() => new Expression(''), /Empty expression at position 0/);
+  assert.throws(() => new Expression('count >'), /Unexpected end of expression at position 7/);
+  assert.throws(() => new Expression("'open"), /Unterminated string at position 0/);
+  assert.throws(() => new Expression('count # 2'), /Unexpected character '#' at position 6/);
+  assert.throws(() => new Expression('(count'), /Expected '\)' but found end of expression/);
+  assert.throws(() => new Expression('a..b'), { name: 'ExpressionError', position: 2 });
+});
+
+test('expressions cannot reach prototypes or constructors', () => {
+  assert.equal(evaluateExpression('user.__proto__', shared), undefined);
+  assert.equal(evaluateExpression("user['constructor']", shared), undefined);
+  assert.equal(evaluateExpression("user.roles['constructor']['constructor']", shared), undefined);
+  assert.equal(evaluateExpression('length.prototype', {}), undefined);
+  assert.equal(evaluateExpression('constructor', shared), undefined);
+});
+
+test('renderTemplate keeps the type of a single placeholder', () => {
+  assert.deepEqual(renderTemplate('{{ user.roles }}', shared), ['admin', 'dev']);
+  assert.equal(renderTemplate('Hello {{ user.name }}, {{ count }} new', shared), 'Hello Ada, 4 new');
+  assert.equal(renderTemplate('[{{ missing }}]', shared), '[]');
+});
+
+test('compileExpression caches parses and evicts the least recently used', () => {
+  const kept = compileExpression('count + 0');
+  const dropped = compileExpression('count + 1');
+  assert.equal(compileExpression('count + 0'), kept);
+
+  for (let i = 0; i < 999; i++) {
+    compileExpression(`count + ${i + 2}`);
+    if (i === 500) compileExpression('count + 0');
+  }
+  assert.equal(compileExpression('count + 0'), kept);
+  assert.notEqual(compileExpression('count + 1'), dropped);
+});
+
+test('FlowCondition reads a key named by the string before parsing it', async () => {
+  const state = { 'needs-review': true, needs: 1, review: 1 };
+  assert.equal(await new FlowCondition('needs-review').evaluate(state), true);
+  assert.equal(await new FlowCondition('needs - review > 0').evaluate(state), false);
+  assert.equal(await new FlowCondition('count > 3').evaluate(shared), true);
+  assert.equal(await new FlowCondition('flags.skip').evaluate(shared), false);
+});
+
+test('FlowLoop predicates read keys and expressions with the iteration', async () => {
+  const loop = new FlowLoop([], 'keep-going');
+  assert.equal(await loop._test('keep-going', { 'keep-going': 1 }, 0), true);
+  assert.equal(await loop._test('iteration < 2', {}, 1), true);
+  assert.equal(await loop._test('iteration < 2', {}, 2), false);
+});
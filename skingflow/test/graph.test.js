@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode, AsyncFlow } from '../skingflow.js';
+
+class Named extends AsyncNode {
+  constructor(name, actions) {
+    super();
+    this.name = name;
+    if (actions) this.actions = actions;
+  }
+}
+
+// Computes its action; declares the values on the class
+class Review extends AsyncNode {
+  static actions = ['approve', 'reject'];
+
+  async postAsync(shared) {
+    return shared.score > 0.5 ? 'approve' : 'reject';
+  }
+}
+
+class Decide extends AsyncNode {
+  async postAsync(shared) {
+    return shared.done ? 'stop' : 'again';
+  }
+}
+
+test('toGraph lists declared and wired actions, never parsed ones', () => {
+  const review = new Review();
+  const publish = new Named('Publish');
+  review.next(publish, 'approve');
+  const decide = new Decide();
+  decide.next(review, 'again');
+
+  const graph = new AsyncFlow(decide).toGraph();
+  const actions = Object.fromEntries(graph.nodes.map(node => [node.id, node.actions]));
+  assert.deepEqual(actions, {
+    Decide: ['again'],
+    Review: ['approve', 'reject'],
+    Publish: ['default']
+  });
+  assert.deepEqual(graph.edges, [
+    { from: 'Decide', to: 'Review', action: 'again' },
+    { from: 'Review', to: 'Publish', action: 'approve' }
+  ]);
+  assert.equal(graph.start, 'Decide');
+  assert.deepEqual(JSON.parse(JSON.stringify(graph)), graph);
+});
+
+test('toMermaid draws the start, nodes, labelled edges and sub-flows', () => {
+  const inner = new AsyncFlow(new Named('Draft'));
+  inner.name = 'Writer';
+  const start = new Named('end');
+  start.next(inner, 'write');
+
+  assert.equal(new AsyncFlow(start).toMermaid(), [
+    'flowchart TD',
+    '  __start__(("start")) --> end_',
+    '  end_["end"]',
+    '  subgraph Writer["Writer"]',
+    '    Writer_Draft["Draft"]',
+    '  end',
+    '  end_ -->|write| Writer'
+  ].join('\n'));
+});
+
+test('validate reports declared actions without a successor', () => {
+  const review = new Review();
+  review.next(new Named('Publish'), 'approve');
+
+  const { valid, issues } = new AsyncFlow(review).validate();
+  assert.equal(valid, false);
+  assert.deepEqual(issues.map(({ type, node, action }) => ({ type, node, action })), [
+    { type: 'dangling-action', node: 'Review', action: 'reject' }
+  ]);
+});
+
+test('validate reports nodes wired in but not reachable from the start', () => {
+  const start = new Named('Start');
+  const end = start.next(new Named('End'));
+  new Named('Orphan').next(end);
+
+  const { issues } = new AsyncFlow(start).validate();
+  assert.deepEqual(issues.map(({ type, node }) => ({ type, node })), [
+    { type: 'unreachable', node: 'Orphan' }
+  ]);
+});
+
+test('validate reports cycles with no exit, but not ones that may end', () => {
+  const a = new Named('A');
+  const b = a.next(new Named('B'));
+  b.next(a);
+  const closed = new AsyncFlow(a).validate();
+  assert.deepEqual(closed.issues.map(({ type, nodes }) => ({ type, nodes })), [
+    { type: 'cycle-without-exit', nodes: ['A', 'B'] }
+  ]);
+
+  // Decide does not declare its actions, so it may return an unwired one
+  const decide = new Decide();
+  decide.next(new Named('Work'), 'again').next(decide);
+  assert.deepEqual(new AsyncFlow(decide).validate(), { valid: true, issues: [] });
+
+  // Declared and wired to stay in the loop: no way out
+  const looping = new Named('Loop', ['again']);
+  looping.next(looping, 'again');
+  assert.deepEqual(new AsyncFlow(looping).validate().issues.map(issue => issue.type), ['cycle-without-exit']);
+});
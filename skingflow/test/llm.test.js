@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIProvider, ToolCallAccumulator } from '../lib/core/llm.js';
+
+// Client that records each request and streams `chunks` back. With `reject`,
+// requests carrying stream_options fail the way some compatible servers do
+function provider(chunks = [], { reject = false, ...config } = {}) {
+  const llm = new OpenAIProvider({ provider: 'openai', model: 'gpt-4o', apiKey: 'test', ...config });
+  llm.initialized = true;
+  llm.requests = [];
+  llm.client = {
+    chat: {
+      completions: {
+        create: async (params) => {
+          llm.requests.push(params);
+          if (reject && params.stream_options) {
+            throw Object.assign(new Error('400 Unrecognized request argument supplied: stream_options'), { status: 400 });
+          }
+          return (async function* () { yield* chunks; })();
+        }
+      }
+    }
+  };
+  return llm;
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+test('ToolCallAccumulator joins fragments split across chunks by index', () => {
+  const calls = new ToolCallAccumulator();
+  assert.deepEqual(calls.add({ index: 1, id: 'b', name: 'time' }), {
+    type: 'tool_call_delta', index: 1, id: 'b', name: 'time', arguments: ''
+  });
+  calls.add({ index: 0, id: 'a', name: 'wea' });
+  calls.add({ index: 0, name: 'ther', arguments: '{"city": "Pa' });
+  assert.deepEqual(calls.add({ index: 0, arguments: 'ris"}' }), {
+    type: 'tool_call_delta', index: 0, id: 'a', name: 'weather', arguments: 'ris"}'
+  });
+  assert.equal(calls.size, 2);
+
+  assert.deepEqual(calls.flush(), [
+    { type: 'tool_call', id: 'a', name: 'weather', arguments: { city: 'Paris' } },
+    { type: 'tool_call', id: 'b', name: 'time', arguments: {} }
+  ]);
+  assert.equal(calls.size, 0);
+  assert.equal(calls.complete(0), null);
+});
+
+test('ToolCallAccumulator keeps unparseable arguments and says why', () => {
+  const calls = new ToolCallAccumulator();
+  calls.add({ index: 0, name: 'search', arguments: '{"q": "ott' });
+  calls.add({ index: 2, name: 'lookup', arguments: { id: 7 } });
+
+  const broken = calls.complete(0);
+  assert.equal(broken.id, 'call_0');
+  assert.equal(broken.arguments, '{"q": "ott');
+  assert.match(broken.error, /^Invalid tool call arguments: /);
+  assert.deepEqual(calls.complete(2), { type: 'tool_call', id: 'call_2', name: 'lookup', arguments: { id: 7 } });
+});
+
+test('OpenAIProvider streams text and tool calls and reports API usage', async () => {
+  const llm = provider([
+    { choices: [{ delta: { content: 'Checking' } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'weather', arguments: '{"city":' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] } }] },
+    { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 12, completion_tokens: 9, prompt_tokens_details: { cached_tokens: 4 } } }
+  ]);
+  const usages = [];
+
+  const chunks = await collect(llm.stream('weather?', { onUsage: (usage) => usages.push(usage) }));
+  assert.deepEqual(chunks, [
+    'Checking',
+    { type: 'tool_call', id: 'call_1', name: 'weather', arguments: { city: 'Paris' } }
+  ]);
+  assert.deepEqual(llm.requests[0].stream_options, { include_usage: true });
+  assert.equal(usages.length, 1);
+  assert.deepEqual(
+    { inputTokens: usages[0].inputTokens, outputTokens: usages[0].outputTokens, cachedTokens: usages[0].cachedTokens, estimated: usages[0].estimated },
+    { inputTokens: 12, outputTokens: 9, cachedTokens: 4, estimated: false }
+  );
+});
+
+test('OpenAIProvider retries without stream_options when the server rejects it', async () => {
+  const llm = provider([{ choices: [{ delta: { content: 'hi' } }] }], { reject: true });
+  const usages = [];
+
+  assert.equal(await llm.complete('hello', { onUsage: (usage) => usages.push(usage) }), 'hi');
+  assert.equal(llm.requests.length, 2);
+  assert.equal('stream_options' in llm.requests[1], false);
+  assert.equal(usages[0].estimated, true);
+
+  // Later requests skip the option straight away
+  await llm.complete('again');
+  assert.equal(llm.requests.length, 3);
+  assert.equal('stream_options' in llm.requests[2], false);
+
+  const optedOut = provider([], { custom: { includeUsage: false } });
+  await optedOut.complete('hello');
+  assert.equal('stream_options' in optedOut.requests[0], false);
+
+  // Other errors are not retried
+  const failing = provider();
+  failing.on('error', () => {});
+  failing.client.chat.completions.create = async (params) => {
+    failing.requests.push(params);
+    throw Object.assign(new Error('400 Invalid model'), { status: 400 });
+  };
+  await assert.rejects(failing.complete('hello'), /Invalid model/);
+  assert.equal(failing.requests.length, 1);
+});
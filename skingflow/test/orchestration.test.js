@@ -0,0 +1,250 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AsyncNode, RetryPolicy } from '../skingflow.js';
+import { FlowOrchestrator, FlowStep, FlowMap } from '../lib/core/orchestration.js';
+import { InMemoryCheckpointStore } from '../lib/core/checkpoint.js';
+import { HumanInputNode } from '../lib/core/human-input.js';
+
+class SetNode extends AsyncNode {
+  constructor(key, value) {
+    super();
+    this.name = key;
+    this.key = key;
+    this.value = value;
+  }
+
+  async postAsync(shared) {
+    shared[this.key] = this.value;
+  }
+}
+
+test('FlowOrchestrator input step without a checkpoint store fails', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new SetNode('draft', 'text'), { id: 'draft' })
+    .addInput({ id: 'topic', key: 'topic', prompt: 'Topic?' });
+
+  await assert.rejects(orchestrator.runAsync({}), /no checkpoint store/);
+  assert.equal(orchestrator.checkpointStore, null);
+});
+
+test('FlowOrchestrator input step suspends into its checkpoint store', async () => {
+  const store = new InMemoryCheckpointStore();
+  const orchestrator = new FlowOrchestrator()
+    .setCheckpointStore(store)
+    .addInput({ id: 'topic', key: 'topic', prompt: 'Topic?' })
+    .addStep(new SetNode('done', true), { id: 'done' });
+
+  const suspended = await orchestrator.runAsync({});
+  assert.equal(suspended.status, 'awaiting_input');
+  assert.equal((await store.load(suspended.runId)).status, 'awaiting_input');
+
+  const result = await orchestrator.resume(suspended.runId, 'tests');
+  assert.match(result, /done: completed/);
+  assert.equal((await store.load(suspended.runId)).status, 'completed');
+});
+
+test('FlowMap with failFast cancels and waits for the items still running', async () => {
+  const log = [];
+  class ItemNode extends AsyncNode {
+    async execAsync(shared) {
+      if (shared.item === 'bad') throw new Error('bad item');
+      try {
+        await delay(1000, null, { signal: this.signal });
+        log.push(`${shared.item} finished`);
+      } catch (error) {
+        log.push(`${shared.item} ${error.name}`);
+        throw error;
+      }
+    }
+  }
+
+  const orchestrator = new FlowOrchestrator()
+    .addMap('items', new ItemNode(), { concurrency: 2, failFast: true });
+
+  const started = Date.now();
+  await assert.rejects(orchestrator.runAsync({ items: ['slow', 'bad'] }), /Map item 2 failed: bad item/);
+  assert.deepEqual(log, ['slow AbortError']);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('FlowMap writes the index under indexKey and can clone the store per item', async () => {
+  class CountNode extends AsyncNode {
+    async execAsync(shared) {
+      shared.counter.count++;
+      shared.result = `${shared.item}@${shared.position}`;
+    }
+  }
+
+  const orchestrator = new FlowOrchestrator()
+    .addMap('items', new CountNode(), { indexKey: 'position', resultKey: 'result', clone: true, outputKey: 'out' });
+
+  const shared = { items: ['a', 'b'], index: 'mine', counter: { count: 0 } };
+  await orchestrator.runAsync(shared);
+
+  assert.deepEqual(shared.out, ['a@0', 'b@1']);
+  assert.equal(shared.index, 'mine');
+  assert.equal(shared.counter.count, 0);
+});
+
+test('FlowMap collects each item step result for the reducer', async () => {
+  class DoubleNode extends AsyncNode {
+    async execAsync(shared) {
+      await delay(5);
+      return shared.item * 2;
+    }
+  }
+
+  const orchestrator = new FlowOrchestrator()
+    .addMap('nums', new DoubleNode(), { concurrency: 2, reducer: results => results });
+
+  const shared = { nums: [1, 2, 3] };
+  await orchestrator.runAsync(shared);
+  assert.deepEqual(shared.mapResults, [2, 4, 6]);
+});
+
+class WaitNode extends AsyncNode {
+  constructor(ms, options) {
+    super(options);
+    this.ms = ms;
+    this.calls = { attempts: 0 }; // shared with the per-run copies
+  }
+
+  async execAsync() {
+    this.calls.attempts++;
+    await delay(this.calls.attempts === 1 ? this.ms : 0, null, { signal: this.signal ?? undefined });
+    return 'done';
+  }
+}
+
+test('FlowOrchestrator sets no step or run timeout by default', async () => {
+  const orchestrator = new FlowOrchestrator().addStep(new WaitNode(50), { id: 'wait' });
+
+  assert.equal(orchestrator.options.timeout, 0);
+  assert.equal(orchestrator.steps[0].timeout, 0);
+  assert.match(await orchestrator.runAsync({}), /wait: completed/);
+});
+
+test('FlowOrchestrator node step timeout applies per attempt', async () => {
+  const node = new WaitNode(1000, { maxRetries: 2 });
+  const orchestrator = new FlowOrchestrator().addStep(node, { id: 'wait', timeout: 20 });
+
+  assert.match(await orchestrator.runAsync({}), /wait: completed/);
+  assert.equal(node.calls.attempts, 2);
+
+  const once = new FlowOrchestrator().addStep(new WaitNode(1000), { id: 'wait', timeout: 20 });
+  await assert.rejects(once.runAsync({}), { name: 'TimeoutError' });
+});
+
+test('FlowOrchestrator container step timeout covers the whole step', async () => {
+  const map = new FlowMap('items', new FlowStep({ node: new WaitNode(1000) }));
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new FlowStep({ type: 'map', node: map, id: 'map', timeout: 20 }));
+
+  const started = Date.now();
+  await assert.rejects(orchestrator.runAsync({ items: [1, 2] }), /timed out/);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(map.signal, undefined);
+});
+
+test('FlowOrchestrator run timeout ends the run', async () => {
+  const orchestrator = new FlowOrchestrator({ timeout: 20 })
+    .addStep(new WaitNode(1000), { id: 'wait', retries: 3 });
+
+  const started = Date.now();
+  await assert.rejects(orchestrator.runAsync({}), { name: 'TimeoutError' });
+  assert.ok(Date.now() - started < 1000);
+});
+
+class FlakyNode extends AsyncNode {
+  constructor(failures, error = new Error('flaky')) {
+    super();
+    this.state = { failures, error }; // shared with the per-run copies
+  }
+
+  async execAsync() {
+    if (this.state.failures-- > 0) throw this.state.error;
+    return 'ok';
+  }
+}
+
+async function collectRetries(orchestrator, shared) {
+  const retries = [];
+  try {
+    for await (const { chunk } of orchestrator.stream(shared)) {
+      if (chunk?.type === 'step_retry') retries.push(chunk);
+    }
+  } catch (error) {
+    retries.error = error;
+  }
+  return retries;
+}
+
+test('FlowOrchestrator retries a failed step up to its retries', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new FlakyNode(2), { id: 'flaky', retries: 2, retryDelay: 1 });
+
+  const retries = await collectRetries(orchestrator, {});
+  assert.equal(retries.error, undefined);
+  assert.deepEqual(retries.map(retry => retry.attempt), [1, 2]);
+  const { calls, successes, failures, retries: retried } = orchestrator.getStats().stepStats.flaky;
+  assert.deepEqual({ calls, successes, failures, retried }, { calls: 1, successes: 1, failures: 0, retried: 2 });
+
+  const exhausted = new FlowOrchestrator()
+    .addStep(new FlakyNode(3), { id: 'flaky', retries: 2, retryDelay: 1 });
+  assert.equal((await collectRetries(exhausted, {})).error?.message, 'flaky');
+  assert.equal(exhausted.getStats().stepStats.flaky.failures, 1);
+});
+
+test('FlowOrchestrator step retries back off from retryDelay', async () => {
+  const exponential = new FlowOrchestrator()
+    .addStep(new FlakyNode(3), { id: 'flaky', retries: 3, retryDelay: 5 });
+  assert.deepEqual((await collectRetries(exponential, {})).map(retry => retry.delay), [5, 10, 20]);
+
+  const fixed = new FlowOrchestrator()
+    .addStep(new FlakyNode(3), { id: 'flaky', retries: 3, retryDelay: 5, retryPolicy: new RetryPolicy() });
+  assert.deepEqual((await collectRetries(fixed, {})).map(retry => retry.delay), [5, 5, 5]);
+});
+
+test('FlowOrchestrator only retries errors its retry policy accepts', async () => {
+  class RateLimitError extends Error {}
+  const retryPolicy = new RetryPolicy({ retryOn: [RateLimitError] });
+
+  const limited = new FlowOrchestrator()
+    .addStep(new FlakyNode(1, new RateLimitError('slow down')), { id: 'flaky', retries: 2, retryDelay: 1, retryPolicy });
+  const retried = await collectRetries(limited, {});
+  assert.equal(retried.error, undefined);
+  assert.equal(retried.length, 1);
+
+  const broken = new FlowOrchestrator()
+    .addStep(new FlakyNode(1, new TypeError('bad input')), { id: 'flaky', retries: 2, retryDelay: 1, retryPolicy });
+  const failed = await collectRetries(broken, {});
+  assert.equal(failed.error?.message, 'bad input');
+  assert.equal(failed.length, 0);
+});
+
+test('an input step inside a parallel group suspends the whole run', async () => {
+  const seen = [];
+  class RecordNode extends AsyncNode {
+    async execAsync(shared) {
+      seen.push(shared.topic);
+    }
+  }
+
+  const orchestrator = new FlowOrchestrator()
+    .setCheckpointStore(new InMemoryCheckpointStore())
+    .addParallel([
+      new FlowStep({ node: new RecordNode() }),
+      new FlowStep({ id: 'topic', node: new HumanInputNode({ key: 'topic', prompt: 'Topic?' }) })
+    ])
+    .addStep(new RecordNode(), { id: 'done' });
+
+  const suspended = await orchestrator.runAsync({});
+  assert.equal(suspended.status, 'awaiting_input');
+  assert.equal(suspended.input.key, 'topic');
+  assert.deepEqual(seen, [undefined]);
+
+  const result = await orchestrator.resume(suspended.runId, 'tests');
+  assert.match(result, /done: completed/);
+  assert.deepEqual(seen, [undefined, 'tests', 'tests']);
+});
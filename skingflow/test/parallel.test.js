@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode, AsyncFlow, ParallelNode } from '../skingflow.js';
+import { InMemoryCheckpointStore } from '../lib/core/checkpoint.js';
+
+class SetNode extends AsyncNode {
+  constructor(key, value) {
+    super();
+    this.name = key;
+    this.key = key;
+    this.value = value;
+  }
+
+  async postAsync(shared) {
+    shared[this.key] = this.value;
+  }
+}
+
+test('ParallelNode outcomes on shared state can be checkpointed', async () => {
+  const store = new InMemoryCheckpointStore();
+  const flow = new AsyncFlow(new ParallelNode([new SetNode('a', 1), new SetNode('b', 2)]))
+    .setCheckpointStore(store);
+
+  const shared = {};
+  await flow.runAsync(shared, { runId: 'parallel' });
+
+  assert.deepEqual(shared.branches.map(outcome => outcome.status), ['completed', 'completed']);
+  assert.equal('shared' in shared.branches[0], false);
+  const checkpoint = await store.load('parallel');
+  assert.equal(checkpoint.status, 'completed');
+  assert.equal(checkpoint.shared.a, 1);
+  assert.equal(checkpoint.shared.branches.length, 2);
+});
+
+test('ParallelNode keeps each cloned branch copy in its outcome', async () => {
+  const store = new InMemoryCheckpointStore();
+  const flow = new AsyncFlow(new ParallelNode([new SetNode('a', 1), new SetNode('b', 2)], { clone: true }))
+    .setCheckpointStore(store);
+
+  const shared = { input: 'x' };
+  await flow.runAsync(shared, { runId: 'cloned' });
+
+  assert.equal(shared.a, undefined);
+  assert.deepEqual(shared.branches.map(outcome => outcome.shared), [{ input: 'x', a: 1 }, { input: 'x', b: 2 }]);
+  assert.equal((await store.load('cloned')).status, 'completed');
+});
+
+test('ParallelNode passes its prepAsync result to postAsync', async () => {
+  const calls = [];
+  class Vote extends ParallelNode {
+    async prepAsync(shared) {
+      calls.push(`prep ${shared.branches === undefined}`);
+      return { threshold: 2 };
+    }
+
+    async postAsync(shared, prepRes, outcomes) {
+      const passed = outcomes.filter(outcome => outcome.status === 'completed').length;
+      calls.push(`post ${prepRes.threshold}`);
+      return passed >= prepRes.threshold ? 'accept' : 'reject';
+    }
+  }
+
+  const vote = new Vote([new SetNode('a', 1), new SetNode('b', 2)]);
+  vote.next(new SetNode('accepted', true), 'accept');
+  const shared = {};
+  await new AsyncFlow(vote).runAsync(shared);
+  assert.equal(shared.accepted, true);
+  assert.deepEqual(calls, ['prep true', 'post 2']);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbortError, AsyncNode, Node, RetryPolicy, SuspendRun } from '../skingflow.js';
+
+class RateLimitError extends Error {
+  constructor() {
+    super('slow down');
+    this.name = 'RateLimitError';
+  }
+}
+
+test('RetryPolicy delays are fixed or grow exponentially up to maxDelay', () => {
+  const fixed = new RetryPolicy();
+  assert.deepEqual([0, 1, 2].map(retry => fixed.getDelay(100, retry)), [100, 100, 100]);
+
+  const exponential = new RetryPolicy({ backoff: 'exponential', factor: 3, maxDelay: 1000 });
+  assert.deepEqual([0, 1, 2, 3].map(retry => exponential.getDelay(100, retry)), [100, 300, 900, 1000]);
+
+  assert.throws(() => new RetryPolicy({ backoff: 'linear' }), { name: 'TypeError', message: "Unknown backoff 'linear'" });
+});
+
+test('RetryPolicy jitter takes a random share of the delay away', (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  assert.equal(new RetryPolicy({ jitter: 0.2 }).getDelay(1000, 0), 900);
+  assert.equal(new RetryPolicy({ jitter: true }).getDelay(1000, 0), 500);
+  assert.equal(new RetryPolicy({ jitter: 5 }).getDelay(1000, 0), 500); // clamped to 1
+  assert.equal(new RetryPolicy({ jitter: -1 }).getDelay(1000, 0), 1000);
+});
+
+test('RetryPolicy retryOn matches classes, names or a predicate', () => {
+  const byClass = new RetryPolicy({ retryOn: RateLimitError });
+  assert.equal(byClass.shouldRetry(new RateLimitError()), true);
+  assert.equal(byClass.shouldRetry(new Error('other')), false);
+
+  const byName = new RetryPolicy({ retryOn: [TypeError, 'RateLimitError'] });
+  assert.equal(byName.shouldRetry(new RateLimitError()), true);
+  assert.equal(byName.shouldRetry(new TypeError('bad')), true);
+  assert.equal(byName.shouldRetry(new RangeError('bad')), false);
+
+  const byPredicate = new RetryPolicy({ retryOn: error => error.status === 503 });
+  assert.equal(byPredicate.shouldRetry(Object.assign(new Error('busy'), { status: 503 })), true);
+  assert.equal(byPredicate.shouldRetry(Object.assign(new Error('gone'), { status: 404 })), false);
+
+  const any = new RetryPolicy();
+  assert.equal(any.shouldRetry(new Error('any')), true);
+  assert.equal(any.shouldRetry(new AbortError()), false);
+  assert.equal(any.shouldRetry(new SuspendRun({ key: 'answer' })), false);
+});
+
+test('AsyncNode retries through its policy and falls back once it gives up', async () => {
+  const events = [];
+  const policy = new RetryPolicy({ backoff: 'exponential', retryOn: 'RateLimitError' });
+  policy.on('retry', ({ attempt, delay }) => events.push(`retry ${attempt} after ${delay}`));
+  policy.on('exhausted', ({ attempts, error }) => events.push(`exhausted after ${attempts}: ${error.message}`));
+
+  class Flaky extends AsyncNode {
+    async execAsync() {
+      events.push(`attempt ${this.curRetry + 1}`);
+      throw new RateLimitError();
+    }
+
+    async execFallbackAsync(prepRes, error) {
+      return `fallback: ${error.message}`;
+    }
+
+    async postAsync(shared, prepRes, execRes) {
+      shared.result = execRes;
+    }
+  }
+
+  const shared = {};
+  await new Flaky({ maxRetries: 3, wait: 2, retry: policy }).runAsync(shared);
+  assert.equal(shared.result, 'fallback: slow down');
+  assert.deepEqual(events, [
+    'attempt 1', 'retry 1 after 2',
+    'attempt 2', 'retry 2 after 4',
+    'attempt 3', 'exhausted after 3: slow down'
+  ]);
+});
+
+test('a node does not retry errors outside retryOn', async () => {
+  let attempts = 0;
+  class Broken extends AsyncNode {
+    async execAsync() {
+      attempts++;
+      throw new TypeError('bad input');
+    }
+  }
+
+  const node = new Broken({ maxRetries: 5, retry: { retryOn: [RateLimitError] } });
+  await assert.rejects(node.runAsync({}), /bad input/);
+  assert.equal(attempts, 1);
+});
+
+test('sync Node retries after a blocking wait', () => {
+  let attempts = 0;
+  class Flaky extends Node {
+    exec() {
+      if (++attempts < 3) throw new Error('flaky');
+      return 'ok';
+    }
+
+    post(shared, prepRes, execRes) {
+      shared.result = execRes;
+    }
+  }
+
+  const shared = {};
+  const started = Date.now();
+  new Flaky({ maxRetries: 3, wait: 10 }).run(shared);
+  assert.equal(shared.result, 'ok');
+  assert.equal(attempts, 3);
+  assert.ok(Date.now() - started >= 19);
+});
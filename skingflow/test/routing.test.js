@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode } from '../skingflow.js';
+import { FlowOrchestrator } from '../lib/core/orchestration.js';
+
+// Appends its name to shared.log, or fails
+class LogNode extends AsyncNode {
+  constructor(name, { fail = false } = {}) {
+    super();
+    this.name = name;
+    this.fail = fail;
+  }
+
+  async execAsync(shared) {
+    shared.log.push(this.name);
+    if (this.fail) throw new Error(`${this.name} failed`);
+  }
+}
+
+const statuses = (orchestrator) => Object.fromEntries(
+  Object.entries(orchestrator.getStepStatus()).map(([id, { status }]) => [id, status])
+);
+
+async function run(orchestrator) {
+  const shared = { log: [] };
+  await orchestrator.runAsync(shared);
+  return shared.log;
+}
+
+test('onSuccess stop ends the run and skip passes over the next step', async () => {
+  const stopped = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', onSuccess: 'stop' })
+    .addStep(new LogNode('b'), { id: 'b' });
+  assert.deepEqual(await run(stopped), ['a']);
+  assert.deepEqual(statuses(stopped), { a: 'completed', b: 'skipped' });
+  assert.equal(stopped.getStepStatus().b.reason, "stopped by step 'a'");
+
+  const skipping = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', onSuccess: 'skip' })
+    .addStep(new LogNode('b'), { id: 'b' })
+    .addStep(new LogNode('c'), { id: 'c' });
+  assert.deepEqual(await run(skipping), ['a', 'c']);
+  assert.deepEqual(statuses(skipping), { a: 'completed', b: 'skipped', c: 'completed' });
+});
+
+test('goto jumps to a step and runaway loops hit maxStepExecutions', async () => {
+  const jumping = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', onSuccess: 'goto:c' })
+    .addStep(new LogNode('b'), { id: 'b' })
+    .addStep(new LogNode('c'), { id: 'c' });
+  assert.deepEqual(await run(jumping), ['a', 'c']);
+
+  const looping = new FlowOrchestrator({ maxStepExecutions: 5 })
+    .addStep(new LogNode('a'), { id: 'a' })
+    .addStep(new LogNode('b'), { id: 'b', onSuccess: 'goto:a' });
+  await assert.rejects(looping.runAsync({ log: [] }), /Exceeded 5 step executions/);
+});
+
+test('onFailure continue and skip keep the run going', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('a', { fail: true }), { id: 'a', onFailure: 'continue' })
+    .addStep(new LogNode('b', { fail: true }), { id: 'b', onFailure: 'skip' })
+    .addStep(new LogNode('c'), { id: 'c' });
+
+  assert.deepEqual(await run(orchestrator), ['a', 'b', 'c']);
+  assert.deepEqual(statuses(orchestrator), { a: 'failed', b: 'skipped', c: 'completed' });
+  assert.equal(orchestrator.getStepStatus().b.reason, 'failed, skipped by onFailure');
+});
+
+test('onFailure stop fails the run unless stopOnError is off', async () => {
+  const strict = new FlowOrchestrator()
+    .addStep(new LogNode('a', { fail: true }), { id: 'a' })
+    .addStep(new LogNode('b'), { id: 'b' });
+  await assert.rejects(strict.runAsync({ log: [] }), /a failed/);
+  assert.deepEqual(statuses(strict), { a: 'failed', b: 'skipped' });
+
+  const lenient = new FlowOrchestrator({ stopOnError: false })
+    .addStep(new LogNode('a', { fail: true }), { id: 'a' })
+    .addStep(new LogNode('b'), { id: 'b' });
+  assert.deepEqual(await run(lenient), ['a', 'b']);
+});
+
+test('onFailure goto recovers at another step', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('a', { fail: true }), { id: 'a', onFailure: 'goto:c' })
+    .addStep(new LogNode('b'), { id: 'b' })
+    .addStep(new LogNode('c'), { id: 'c' });
+  assert.deepEqual(await run(orchestrator), ['a', 'c']);
+});
+
+test('a fallback step only runs for the failure that routes to it', async () => {
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new LogNode('search', { fail: true }), { id: 'search', onFailure: 'fallback:cached' })
+    .addStep(new LogNode('summarize'), { id: 'summarize' })
+    .addStep(new LogNode('cached'), { id: 'cached' });
+  assert.deepEqual(await run(orchestrator), ['search', 'cached', 'summarize']);
+  assert.deepEqual(statuses(orchestrator), { search: 'failed', summarize: 'completed', cached: 'completed' });
+
+  const healthy = new FlowOrchestrator()
+    .addStep(new LogNode('search'), { id: 'search', onFailure: 'fallback:cached' })
+    .addStep(new LogNode('cached'), { id: 'cached' });
+  assert.deepEqual(await run(healthy), ['search']);
+
+  // The fallback's own onFailure applies when it fails too
+  const failing = new FlowOrchestrator()
+    .addStep(new LogNode('search', { fail: true }), { id: 'search', onFailure: 'fallback:cached' })
+    .addStep(new LogNode('cached', { fail: true }), { id: 'cached' });
+  await assert.rejects(failing.runAsync({ log: [] }), /cached failed/);
+});
+
+test('routes are checked before the first step runs', async () => {
+  const unknown = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', onSuccess: 'goto:nowhere' });
+  await assert.rejects(unknown.runAsync({ log: [] }), /Step 'a' onSuccess targets unknown step 'nowhere'/);
+
+  const fallback = new FlowOrchestrator()
+    .addStep(new LogNode('a'), { id: 'a', onSuccess: 'fallback:b' })
+    .addStep(new LogNode('b'), { id: 'b' });
+  await assert.rejects(fallback.runAsync({ log: [] }), /fallback routes are only valid for onFailure/);
+
+  const dag = new FlowOrchestrator({ mode: 'dag' })
+    .addStep(new LogNode('a'), { id: 'a', onFailure: 'goto:b' })
+    .addStep(new LogNode('b'), { id: 'b' });
+  await assert.rejects(dag.runAsync({ log: [] }), /onFailure 'goto:b' is not supported in dag mode/);
+});
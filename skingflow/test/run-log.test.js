@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode, AsyncFlow, ParallelNode } from '../skingflow.js';
+import { InMemoryRunLogSink } from '../lib/core/run-log.js';
+
+class WordsNode extends AsyncNode {
+  constructor(name, words) {
+    super();
+    this.name = name;
+    this.words = words;
+  }
+
+  async *execAsyncStream() {
+    for (const word of this.words) yield word;
+  }
+}
+
+// A flow without a start node streams like a single node, as ChatFlow does
+class ReplyFlow extends AsyncFlow {
+  async *execAsyncStream() {
+    yield 'reply';
+  }
+}
+
+function buildFlow() {
+  const intro = new WordsNode('intro', ['hello', 'world']);
+  intro
+    .next(new ParallelNode([new WordsNode('left', ['l']), new WordsNode('right', ['r'])]))
+    .next(new ReplyFlow());
+  return new AsyncFlow(intro);
+}
+
+async function chunkEvents(sink, runId) {
+  return (await sink.read(runId))
+    .filter(event => event.type === 'chunk')
+    .map(({ node, chunk }) => `${node}:${chunk}`)
+    .sort();
+}
+
+test('runAsync logs the same chunk events as a streamed run', async () => {
+  const sink = new InMemoryRunLogSink();
+  const flow = buildFlow().setRunLog(sink);
+
+  await flow.runAsync({}, { runId: 'async' });
+  for await (const chunk of flow.stream({}, { runId: 'streamed' })) void chunk;
+
+  const expected = ['ReplyFlow:reply', 'intro:hello', 'intro:world', 'left:l', 'right:r'];
+  assert.deepEqual(await chunkEvents(sink, 'streamed'), expected);
+  assert.deepEqual(await chunkEvents(sink, 'async'), expected);
+});
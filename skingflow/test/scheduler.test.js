@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression, FlowScheduler, ManualClock } from '../lib/core/scheduler.js';
+import { InMemoryCheckpointStore } from '../lib/core/checkpoint.js';
+
+const MINUTE = 60000;
+
+const next = (expression, after) => new CronExpression(expression, { utc: true }).next(new Date(after)).toISOString();
+
+test('CronExpression.next finds the first matching minute after a time', () => {
+  assert.equal(next('*/15 * * * *', '2025-01-06T10:07:30Z'), '2025-01-06T10:15:00.000Z');
+  assert.equal(next('*/15 * * * *', '2025-01-06T10:15:00Z'), '2025-01-06T10:30:00.000Z');
+  assert.equal(next('0 9 * * mon-fri', '2025-01-04T12:00:00Z'), '2025-01-06T09:00:00.000Z');
+  assert.equal(next('@monthly', '2025-01-31T23:59:00Z'), '2025-02-01T00:00:00.000Z');
+  assert.equal(next('30 8 29 feb *', '2025-03-01T00:00:00Z'), '2028-02-29T08:30:00.000Z');
+});
+
+test('CronExpression runs on either day field when both are restricted', () => {
+  // The 15th, or any Monday
+  assert.equal(next('0 0 15 * 1', '2025-01-07T00:00:00Z'), '2025-01-13T00:00:00.000Z');
+  assert.equal(next('0 0 15 * 1', '2025-01-13T00:00:00Z'), '2025-01-15T00:00:00.000Z');
+  assert.equal(next('0 0 * * 7', '2025-01-06T00:00:00Z'), '2025-01-12T00:00:00.000Z');
+});
+
+test('CronExpression rejects malformed expressions', () => {
+  assert.throws(() => new CronExpression('* * * *'), /expected 5 fields, got 4/);
+  assert.throws(() => new CronExpression('60 * * * *'), /bad minute '60'/);
+  assert.throws(() => new CronExpression('*/0 * * * *'), /bad step '0'/);
+  assert.throws(() => new CronExpression('* 5-2 * * *'), /bad hour range '5-2'/);
+  assert.throws(() => new CronExpression('0 0 31 feb *').next(0), /never matches/);
+});
+
+test('FlowScheduler runs interval jobs on the injected clock', async () => {
+  const clock = new ManualClock(new Date('2025-01-06T09:00:00Z'));
+  const runs = [];
+  const scheduler = new FlowScheduler({ clock })
+    .schedule('tick', async (shared) => { runs.push(clock.now()); shared.seen = true; }, { interval: MINUTE });
+
+  await scheduler.start();
+  await clock.advance(3 * MINUTE);
+  await scheduler.stop();
+
+  const start = Date.parse('2025-01-06T09:00:00Z');
+  assert.deepEqual(runs, [start + MINUTE, start + 2 * MINUTE, start + 3 * MINUTE]);
+  assert.equal(scheduler.getJob('tick').runCount, 3);
+  assert.equal(scheduler.getJob('tick').lastStatus, 'completed');
+});
+
+test('FlowScheduler skips a run that comes due while the job is still running', async () => {
+  const clock = new ManualClock(0);
+  let finish;
+  const scheduler = new FlowScheduler({ clock })
+    .schedule('slow', () => new Promise(resolve => { finish = resolve; }), { interval: 1000 });
+  const skipped = [];
+  scheduler.on('skipped', entry => skipped.push(entry));
+
+  await scheduler.start();
+  await clock.advance(1000);
+  assert.equal(scheduler.getJob('slow').running, true);
+  await clock.advance(1000);
+  finish();
+  await scheduler.stop();
+
+  assert.deepEqual(skipped.map(({ scheduledAt, reason }) => ({ scheduledAt, reason })), [
+    { scheduledAt: 2000, reason: 'overlap' }
+  ]);
+  assert.deepEqual(scheduler.getHistory('slow').map(entry => entry.status), ['skipped', 'completed']);
+});
+
+test('FlowScheduler restores job state from its store after a restart', async () => {
+  const store = new InMemoryCheckpointStore();
+  const clock = new ManualClock(0);
+  let runs = 0;
+  const job = async () => { runs++; };
+
+  const first = new FlowScheduler({ clock, store }).schedule('sync', job, { interval: 1000 });
+  await first.start();
+  await clock.advance(2000);
+  await first.stop();
+  assert.equal((await store.load('schedule:sync')).runCount, 2);
+
+  // Down long enough to miss a run; catchUp runs it once on start
+  await clock.advance(5000);
+  const second = new FlowScheduler({ clock, store }).schedule('sync', job, { interval: 1000, catchUp: true });
+  await second.start();
+  await clock.advance(0);
+  await second.stop();
+
+  assert.equal(runs, 3);
+  const state = second.getJob('sync');
+  assert.equal(state.runCount, 3);
+  assert.equal(state.lastRunAt, 7000);
+  assert.equal(state.history.length, 3);
+});
+
+test('FlowScheduler logs failures outside a run when nobody listens for errors', async (t) => {
+  class FailingStore extends InMemoryCheckpointStore {
+    async save(runId, state) {
+      if (this.broken) throw new Error('disk full');
+      return super.save(runId, state);
+    }
+  }
+  const store = new FailingStore();
+  const clock = new ManualClock(0);
+  const logged = t.mock.method(console, 'error', () => {});
+  const scheduler = new FlowScheduler({ clock, store }).schedule('job', async () => {}, { interval: 1000 });
+
+  await scheduler.start();
+  store.broken = true;
+  await clock.advance(1000);
+  assert.deepEqual(logged.mock.calls.map(call => call.arguments[0]), ["Scheduler job 'job': disk full"]);
+
+  const errors = [];
+  scheduler.on('error', (error, { jobId }) => errors.push(`${jobId}: ${error.message}`));
+  await clock.advance(1000);
+  await scheduler.stop();
+  assert.deepEqual(errors, ['job: disk full']);
+  assert.equal(logged.mock.callCount(), 1);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode } from '../skingflow.js';
+import { FlowOrchestrator, FlowStep, ParallelConflictError } from '../lib/core/orchestration.js';
+
+// Runs fn(shared) as its exec step
+class FnNode extends AsyncNode {
+  constructor(fn) {
+    super();
+    this.fn = fn;
+  }
+
+  async execAsync(shared) {
+    return this.fn(shared);
+  }
+}
+
+const step = (name, fn, options = {}) => new FlowStep({ node: new FnNode(fn), name, ...options });
+
+test('inputs are only visible to their step and writes land once it succeeds', async () => {
+  const seen = {};
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new FnNode((shared) => {
+      seen.query = shared.query;
+      seen.limit = shared.limit;
+      seen.keys = Object.keys(shared).sort();
+      shared.found = [shared.query];
+      delete shared.stale;
+      seen.hasStale = 'stale' in shared;
+    }), { id: 'search', inputs: { query: 'request.text', limit: "settings.limit || 10" } })
+    .addStep(new FnNode((shared) => {
+      seen.later = shared.query;
+      shared.partial = true;
+      throw new Error('boom');
+    }), { id: 'broken', inputs: ['request.text'], onFailure: 'continue' });
+
+  const shared = { request: { text: 'otters' }, settings: {}, stale: 1 };
+  await orchestrator.runAsync(shared);
+
+  assert.deepEqual(seen, {
+    query: 'otters',
+    limit: 10,
+    keys: ['limit', 'query', 'request', 'settings', 'stale'],
+    hasStale: false,
+    later: undefined
+  });
+  assert.deepEqual(shared, { request: { text: 'otters' }, settings: {}, found: ['otters'] });
+});
+
+test('outputs write the result or expressions and drop other writes', async () => {
+  const research = { notes: 'kept' };
+  const orchestrator = new FlowOrchestrator()
+    .addStep(new FnNode((shared) => {
+      shared.scratch = 'dropped';
+      return ['a', 'b'];
+    }), { id: 'search', outputs: 'research.results' })
+    .addStep(new FnNode((shared) => ({ ranked: [...shared.items].reverse() })), {
+      id: 'rank',
+      inputs: { items: 'research.results' },
+      outputs: { 'research.top': 'result.ranked[0]', count: 'length(result.ranked)' }
+    });
+
+  const shared = { research };
+  await orchestrator.runAsync(shared);
+
+  assert.deepEqual(shared, {
+    research: { notes: 'kept', results: ['a', 'b'], top: 'b' },
+    count: 2
+  });
+  // Nested paths are written on copies
+  assert.deepEqual(research, { notes: 'kept' });
+});
+
+test('parallel branches do not see each other and conflicts follow onConflict', async () => {
+  const run = async (onConflict) => {
+    const shared = { tags: ['start'] };
+    const orchestrator = new FlowOrchestrator().addParallel([
+      step('a', (scope) => {
+        scope.tags = [...scope.tags, 'a'];
+        scope.fromA = true;
+        scope.saw = Boolean(scope.fromB);
+      }),
+      step('b', (scope) => {
+        scope.tags = [...scope.tags, 'b'];
+        scope.fromB = true;
+        scope.saw = Boolean(scope.fromA);
+      })
+    ], { onConflict });
+    const conflicts = [];
+    orchestrator.events.on('conflict', (event) => conflicts.push(event));
+    await orchestrator.runAsync(shared);
+    return { shared, conflicts };
+  };
+
+  const last = await run('last');
+  assert.deepEqual(last.shared, { tags: ['start', 'b'], fromA: true, fromB: true, saw: false });
+  assert.deepEqual(last.conflicts, [{ key: 'tags', steps: ['a', 'b'], policy: 'last' }]);
+
+  assert.deepEqual((await run('first')).shared.tags, ['start', 'a']);
+  assert.deepEqual((await run('merge')).shared.tags, ['start', 'a', 'start', 'b']);
+
+  const custom = await run((key, writes) => writes.map(write => write.step).join('+'));
+  assert.equal(custom.shared.tags, 'a+b');
+  assert.equal(custom.conflicts[0].policy, 'custom');
+
+  await assert.rejects(run('error'), (error) => {
+    assert.ok(error instanceof ParallelConflictError);
+    assert.equal(error.message, "Parallel steps a, b wrote conflicting values to 'tags'");
+    return true;
+  });
+});
+
+test('a failed parallel branch writes nothing', async () => {
+  const orchestrator = new FlowOrchestrator().addParallel([
+    step('ok', (scope) => { scope.ok = true; }),
+    step('bad', (scope) => {
+      scope.bad = true;
+      throw new Error('bad branch');
+    })
+  ], { failFast: false });
+
+  const shared = {};
+  await orchestrator.runAsync(shared);
+  assert.deepEqual(shared, { ok: true });
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncNode, AsyncFlow } from '../skingflow.js';
+import { FlowOrchestrator, NodeRegistry } from '../lib/core/orchestration.js';
+
+// Appends its name to shared.log, or fails
+class LogNode extends AsyncNode {
+  constructor(name, { fail = false } = {}) {
+    super();
+    this.name = name;
+    this.fail = fail;
+  }
+
+  async execAsync(shared) {
+    shared.log = [...(shared.log || []), this.name];
+    if (this.fail) throw new Error(`${this.name} failed`);
+  }
+}
+
+// A graph node that scores the draft it reads and picks an action
+class ScoreNode extends AsyncNode {
+  async prepAsync(shared) {
+    return shared.draft;
+  }
+
+  async *execAsyncStream(draft) {
+    yield `scoring ${draft}\n`;
+  }
+
+  async postAsync(shared, draft) {
+    const score = draft.length;
+    shared.seen = Object.keys(shared).sort();
+    shared.score = score;
+    return score > 3 ? 'approved' : 'rejected';
+  }
+}
+
+const statuses = (orchestrator) => Object.fromEntries(
+  Object.entries(orchestrator.getStepStatus()).map(([id, { status, action }]) => [id, action ? `${status} ${action}` : status])
+);
+
+test('a sub-flow streams through the parent and its action picks the route', async () => {
+  const build = () => new FlowOrchestrator()
+    .addFlow(new AsyncFlow(new ScoreNode()), {
+      id: 'review',
+      isolate: true,
+      inputs: { draft: 'article.body' },
+      outputs: { 'article.score': 'score', 'article.seen': 'seen' },
+      routes: { rejected: 'goto:rewrite' }
+    })
+    .addStep(new LogNode('publish'), { id: 'publish', onSuccess: 'stop' })
+    .addStep(new LogNode('rewrite'), { id: 'rewrite' });
+
+  const approved = build();
+  const shared = { article: { body: 'a long draft' }, secret: 'hidden' };
+  const chunks = [];
+  for await (const { chunk } of approved.stream(shared)) chunks.push(chunk);
+
+  assert.ok(chunks.includes('scoring a long draft\n'));
+  assert.ok(chunks.includes("Sub-flow AsyncFlow finished with action 'approved'\n"));
+  assert.deepEqual(shared.log, ['publish']);
+  assert.deepEqual(shared.article, { body: 'a long draft', score: 12, seen: ['draft'] });
+  assert.equal(shared.score, undefined);
+  assert.deepEqual(statuses(approved), { review: 'completed approved', publish: 'completed', rewrite: 'skipped' });
+
+  const rejected = build();
+  const short = { article: { body: 'meh' } };
+  await rejected.runAsync(short);
+  assert.deepEqual(short.log, ['rewrite']);
+  assert.equal(rejected.getStepStatus().review.action, 'rejected');
+});
+
+test('a shared sub-flow writes to the parent store and an action expression routes it', async () => {
+  const child = new FlowOrchestrator({ name: 'child' })
+    .addStep(new LogNode('child-a'), { id: 'a' })
+    .addStep(new LogNode('child-b'), { id: 'b' });
+  const parent = new FlowOrchestrator()
+    .addFlow(child, {
+      id: 'child',
+      action: "length(log) > 1 ? 'long' : 'short'",
+      routes: { long: 'goto:after' }
+    })
+    .addStep(new LogNode('skipped'), { id: 'skipped' })
+    .addStep(new LogNode('after'), { id: 'after' });
+
+  const shared = {};
+  await parent.runAsync(shared);
+  assert.deepEqual(shared.log, ['child-a', 'child-b', 'after']);
+  assert.equal(parent.getStepStatus().child.action, 'long');
+  assert.equal(parent.getStats().subflows.child.executions, 1);
+});
+
+test('a failing sub-flow fails its step and the parent routes the failure', async () => {
+  const child = new FlowOrchestrator()
+    .addStep(new LogNode('child', { fail: true }), { id: 'child' });
+  const strict = new FlowOrchestrator().addFlow(child, { id: 'sub' });
+  await assert.rejects(strict.runAsync({}), /child failed/);
+
+  const lenient = new FlowOrchestrator()
+    .addFlow(child, { id: 'sub', onFailure: 'continue' })
+    .addStep(new LogNode('next'), { id: 'next' });
+  const shared = {};
+  await lenient.runAsync(shared);
+  assert.deepEqual(shared.log, ['child', 'next']);
+  assert.deepEqual(statuses(lenient), { sub: 'failed', next: 'completed' });
+
+  assert.throws(() => new FlowOrchestrator().addFlow(new LogNode('node')), /Sub-flow must be an AsyncFlow/);
+});
+
+test('workflow configs build inline and registered sub-flows', async () => {
+  const registry = new NodeRegistry()
+    .register('log', ({ label }) => new LogNode(label))
+    .register('score', () => new AsyncFlow(new ScoreNode()));
+
+  const orchestrator = FlowOrchestrator.fromConfig({
+    steps: [
+      { id: 'prepare', type: 'flow', steps: [{ node: 'log', params: { label: 'inline' } }] },
+      {
+        id: 'review',
+        type: 'flow',
+        flow: 'score',
+        isolate: true,
+        inputs: { draft: 'title' },
+        outputs: { score: 'score' }
+      }
+    ]
+  }, { registry });
+
+  const shared = { title: 'otters' };
+  await orchestrator.runAsync(shared);
+  assert.deepEqual(shared, { title: 'otters', log: ['inline'], score: 6 });
+
+  assert.throws(
+    () => FlowOrchestrator.fromConfig({ steps: [{ type: 'flow', flow: 'log', params: { label: 'x' } }] }, { registry }),
+    /steps\[0\]\.flow: 'log' is not a flow/
+  );
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { Tracer, InMemorySpanExporter } from '../lib/core/tracing.js';
+import { createMultiAgentFramework, MultiAgentWorkflow } from '../lib/multi-agent/index.js';
+
+test('Tracer exports spans that end after their root once flushInterval has passed', async () => {
+  const exporter = new InMemorySpanExporter();
+  const tracer = new Tracer({ exporter, flushInterval: 20 });
+
+  const root = tracer.startSpan('flow');
+  const late = root.startChild('tool');
+  root.end();
+  late.end();
+  await tracer.pending;
+  assert.deepEqual(exporter.getFinishedSpans().map(span => span.name), ['flow']);
+  assert.equal(tracer.finished.size, 1);
+
+  await delay(60);
+  await tracer.pending;
+  assert.deepEqual(exporter.getFinishedSpans().map(span => span.name), ['flow', 'tool']);
+  assert.equal(tracer.finished.size, 0);
+  assert.equal(tracer.timer, null);
+});
+
+test('Tracer exports waiting spans once more than maxPendingSpans pile up', async () => {
+  const exporter = new InMemorySpanExporter();
+  const tracer = new Tracer({ exporter, maxPendingSpans: 2, flushInterval: 0 });
+
+  const root = tracer.startSpan('flow');
+  for (const name of ['a', 'b', 'c']) root.startChild(name).end();
+  await tracer.pending;
+
+  assert.deepEqual(exporter.getFinishedSpans().map(span => span.name), ['a', 'b', 'c']);
+  assert.equal(tracer.pendingSpans, 0);
+  root.end();
+  await tracer.pending;
+  assert.equal(exporter.getFinishedSpans().length, 4);
+});
+
+test('createMultiAgentFramework records requests into config.tracer', async () => {
+  const exporter = new InMemorySpanExporter();
+  const tracer = new Tracer({ exporter });
+  const framework = await createMultiAgentFramework({ tracer });
+
+  framework._startRequestSpan('hello').end();
+  await tracer.pending;
+  assert.deepEqual(exporter.getFinishedSpans().map(span => span.name), ['agent request']);
+});
+
+test('MultiAgentWorkflow passes its span to a copy of each step', async () => {
+  const tracer = new Tracer({ exporter: new InMemorySpanExporter() });
+  const spans = [];
+  const step = {
+    async *execAsyncStream() {
+      spans.push(this.traceSpan);
+    }
+  };
+  const workflow = new MultiAgentWorkflow(null, [{ step, config: {} }], {});
+  workflow.traceSpan = tracer.startSpan('workflow');
+
+  await workflow.runAsync({});
+  assert.deepEqual(spans, [workflow.traceSpan]);
+  assert.equal(step.traceSpan, undefined);
+});
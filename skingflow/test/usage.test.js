@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UsageTracker,
+  estimateTokens,
+  estimateMessageTokens,
+  getModelPricing,
+  calculateCost,
+  MODEL_PRICING
+} from '../lib/core/usage.js';
+
+test('token estimates count about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('abcdefghi'), 3);
+
+  assert.equal(estimateMessageTokens('abcdefgh'), 2);
+  assert.equal(estimateMessageTokens([
+    { role: 'system', content: 'abcd' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'a' }] }
+  ]), (4 + 1) + (4 + 1 + 3));
+});
+
+test('getModelPricing matches the longest model prefix', () => {
+  assert.equal(getModelPricing('gpt-4o'), MODEL_PRICING['gpt-4o']);
+  assert.equal(getModelPricing('gpt-4o-2024-08-06'), MODEL_PRICING['gpt-4o']);
+  assert.equal(getModelPricing('gpt-4o-mini-2024-07-18'), MODEL_PRICING['gpt-4o-mini']);
+  assert.equal(getModelPricing('claude-sonnet-4-20250514'), MODEL_PRICING['claude-sonnet-4']);
+  assert.equal(getModelPricing('gpt-4oo'), null);
+  assert.equal(getModelPricing('llama3'), null);
+  assert.equal(getModelPricing(null), null);
+  assert.deepEqual(getModelPricing('llama3:8b', { llama3: { input: 0, output: 0 } }), { input: 0, output: 0 });
+});
+
+test('calculateCost bills cached input at its own price', () => {
+  const price = { input: 3, output: 15, cachedInput: 0.3 };
+  assert.equal(calculateCost({ inputTokens: 1000, outputTokens: 100, cachedTokens: 0 }, price), 0.0045);
+  assert.equal(calculateCost({ inputTokens: 1000, outputTokens: 100, cachedTokens: 800 }, price), 0.00234);
+  // Without a cached price, cached tokens cost the same as other input
+  assert.equal(calculateCost({ inputTokens: 1000, outputTokens: 0, cachedTokens: 800 }, { input: 1, output: 2 }), 0.001);
+  assert.equal(calculateCost({ inputTokens: 1000, outputTokens: 100 }, null), null);
+});
+
+test('UsageTracker totals usage per session, user and model', () => {
+  const tracker = new UsageTracker();
+  tracker.record({ model: 'gpt-4o', inputTokens: 100, outputTokens: 20, cachedTokens: 50, cost: 0.1 }, { sessionId: 's1', userId: 'u1' });
+  tracker.record({ model: 'gpt-4o', inputTokens: 10, outputTokens: 5, cost: 0.2 }, { sessionId: 's2', userId: 'u1' });
+  tracker.record({ model: 'claude-sonnet-4', inputTokens: 1, outputTokens: 1, cost: null });
+
+  assert.deepEqual(tracker.getTotals(), { requests: 3, inputTokens: 111, outputTokens: 26, cachedTokens: 50, cost: 0.3 });
+  assert.deepEqual(tracker.getSession('s1'), { requests: 1, inputTokens: 100, outputTokens: 20, cachedTokens: 50, cost: 0.1 });
+  assert.equal(tracker.getUser('u1').requests, 2);
+  assert.deepEqual(tracker.getSession('missing'), { requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, cost: 0 });
+
+  const stats = tracker.getStats();
+  assert.deepEqual(Object.keys(stats.bySession), ['s1', 's2']);
+  assert.deepEqual(Object.keys(stats.byModel), ['gpt-4o', 'claude-sonnet-4']);
+  assert.equal(stats.byModel['gpt-4o'].requests, 2);
+
+  // Copies, not the tracker's own totals
+  tracker.getSession('s1').requests = 99;
+  assert.equal(tracker.getSession('s1').requests, 1);
+
+  tracker.reset();
+  assert.equal(tracker.getTotals().requests, 0);
+  assert.deepEqual(tracker.getStats().byUser, {});
+});
+
+test('UsageTracker keeps only the most recently charged sessions and users', () => {
+  const tracker = new UsageTracker({ maxSessions: 2, maxUsers: 1 });
+  const usage = { model: 'gpt-4o', inputTokens: 10, outputTokens: 0 };
+  tracker.record(usage, { sessionId: 'a', userId: 'u1' });
+  tracker.record(usage, { sessionId: 'b', userId: 'u2' });
+  tracker.record(usage, { sessionId: 'a', userId: 'u2' });
+  tracker.record(usage, { sessionId: 'c', userId: 'u2' });
+
+  const stats = tracker.getStats();
+  assert.deepEqual(Object.keys(stats.bySession), ['a', 'c']);
+  assert.deepEqual(Object.keys(stats.byUser), ['u2']);
+  assert.equal(tracker.getSession('a').inputTokens, 20);
+  assert.equal(tracker.getSession('b').requests, 0);
+  assert.equal(tracker.getUser('u2').requests, 3);
+  // Forgotten sessions still count overall
+  assert.equal(tracker.getTotals().inputTokens, 40);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AsyncNode } from '../skingflow.js';
+import { FlowOrchestrator, NodeRegistry, WorkflowConfigError, TimingMiddleware } from '../lib/core/orchestration.js';
+
+// Appends its label to shared.log
+class LogNode extends AsyncNode {
+  constructor({ label }) {
+    super();
+    this.label = label;
+  }
+
+  async execAsync(shared) {
+    shared.log = [...(shared.log || []), this.label];
+    if (this.label === 'review') shared.reviews = (shared.reviews || 0) + 1;
+  }
+}
+
+const registry = () => new NodeRegistry()
+  .register('log', (params) => new LogNode(params))
+  .register('review', new LogNode({ label: 'review' }))
+  .registerCondition('hasResults', (shared) => shared.results > 0);
+
+test('NodeRegistry creates nodes from factories and returns registered instances', () => {
+  const nodes = registry();
+  const review = nodes.create('review');
+  assert.equal(nodes.create('review'), review);
+  assert.equal(nodes.create('log', { label: 'a' }).label, 'a');
+  assert.notEqual(nodes.create('log', { label: 'a' }), nodes.create('log', { label: 'a' }));
+  assert.equal(nodes.has('log'), true);
+  assert.throws(() => nodes.create('missing'), /Unknown node 'missing'/);
+});
+
+test('fromConfig builds node, condition, parallel and loop steps that run', async () => {
+  const orchestrator = FlowOrchestrator.fromConfig({
+    name: 'research',
+    options: { stopOnError: true },
+    variables: { results: 2, greeting: 'Hi {{ results }}' },
+    middleware: ['timing'],
+    steps: [
+      { id: 'search', node: 'log', params: { label: 'search' }, retries: 1, backoff: 'fixed' },
+      {
+        type: 'condition',
+        condition: 'hasResults',
+        then: { node: 'log', params: { label: 'summarize' } },
+        else: { node: 'log', params: { label: 'apologize' } }
+      },
+      { type: 'parallel', steps: [{ node: 'log', params: { label: 'translate' } }] },
+      { type: 'loop', while: '(reviews || 0) < 2', maxIterations: 5, steps: [{ node: 'review' }] }
+    ]
+  }, { registry: registry() });
+
+  assert.equal(orchestrator.name, 'research');
+  assert.deepEqual(orchestrator.steps.map(step => step.type), ['node', 'condition', 'parallel', 'loop']);
+  assert.equal(orchestrator.steps[0].id, 'search');
+  assert.equal(orchestrator.steps[0].retries, 1);
+  assert.ok(orchestrator.middleware[0] instanceof TimingMiddleware);
+
+  const shared = {};
+  await orchestrator.runAsync(shared);
+  assert.equal(shared.greeting, 'Hi 2');
+  assert.deepEqual(shared.log, ['search', 'summarize', 'translate', 'review', 'review']);
+});
+
+test('fromConfig reports every invalid path at once', () => {
+  const config = {
+    steps: [
+      { id: 'a', node: 'lgo' },
+      { id: 'a', node: 'log', retries: -1, stepz: [] },
+      { type: 'loop', steps: [{ node: 'log' }] },
+      { type: 'teleport' },
+      { node: 'log', dependsOn: 'nowhere', onFailure: 'goto:missing' },
+      { type: 'condition', condition: 'count >' }
+    ],
+    middleware: [{ type: 'metrics' }]
+  };
+
+  assert.throws(() => FlowOrchestrator.fromConfig(config, { registry: registry() }), (error) => {
+    assert.ok(error instanceof WorkflowConfigError);
+    assert.deepEqual(error.errors.map(({ path, message }) => `${path}: ${message}`), [
+      "middleware[0].type: Unknown middleware 'metrics'",
+      "steps[0].node: Unknown node 'lgo'",
+      "steps[1].stepz: Unknown property 'stepz'",
+      "steps[1].id: Duplicate step id 'a'",
+      'steps[1].retries: Expected a non-negative integer',
+      'steps[2].while: Missing required property',
+      "steps[3].type: Unknown step type 'teleport'",
+      'steps[5].condition: Unexpected end of expression at position 7',
+      "steps[4].onFailure: Unknown step id 'missing'",
+      "steps[4].dependsOn: Unknown step id 'nowhere'"
+    ]);
+    assert.match(error.message, /^Invalid workflow config:\n  middleware\[0\]\.type/);
+    return true;
+  });
+});
+
+test('fromFile reads YAML and points errors at their line and column', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'skingflow-workflow-'));
+  try {
+    const file = join(directory, 'flow.yaml');
+    await writeFile(file, [
+      'steps:',
+      '  - id: search',
+      '    node: log',
+      '    params: { label: search }',
+      '  - node: serach',
+      ''
+    ].join('\n'));
+
+    await assert.rejects(FlowOrchestrator.fromFile(file, { registry: registry() }), (error) => {
+      assert.equal(error.name, 'WorkflowConfigError');
+      assert.deepEqual(error.errors, [{ path: 'steps[1].node', message: "Unknown node 'serach'", line: 5, column: 11 }]);
+      assert.match(error.message, /flow\.yaml:5:11 steps\[1\]\.node: Unknown node 'serach'/);
+      return true;
+    });
+
+    await writeFile(file, 'steps:\n  - node: log\n    params: { label: ok }\n');
+    const shared = {};
+    await (await FlowOrchestrator.fromFile(file, { registry: registry() })).runAsync(shared);
+    assert.deepEqual(shared.log, ['ok']);
+
+    await assert.rejects(FlowOrchestrator.fromFile(join(directory, 'flow.toml')), /Use JSON or YAML/);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});